@@ -0,0 +1,100 @@
+/**
+ * @fileoverview Type definitions for eslint-plugin-granular-selectors
+ */
+import type { ESLint, Linter, Rule } from "eslint";
+
+declare namespace plugin {
+  /** A hook whose selector isn't the first argument, e.g. `{ name: "^useStore$", selectorArg: 1 }`. */
+  interface IncludeEntry {
+    /** Pattern matched against the hook name, like a string `include` entry. */
+    name: string;
+    /** Index of the selector among the hook's arguments. Defaults to `0`. */
+    selectorArg?: number;
+  }
+
+  /** A library preset for the `preset` option. */
+  type Preset = "redux" | "zustand" | "xstate";
+
+  /** Options accepted by the `granular-selectors/granular-selectors` rule. */
+  interface GranularSelectorsOptions {
+    /** Library presets to detect selector hooks with; their patterns are combined with the options below. */
+    preset?: Preset | Preset[];
+    /** Patterns to include for selector function detection. */
+    include?: Array<string | IncludeEntry>;
+    /** Patterns to exclude from selector function detection. */
+    exclude?: string[];
+    /** Modules and the selector hooks they export, e.g. `{ "react-redux": ["useSelector"] }`. Replaces `include` when set. */
+    importSources?: Record<string, string[]>;
+    /** Code patterns to ignore (e.g., specific variable names or patterns). */
+    ignorePatterns?: string[];
+    /** Which fixes run via --fix; the rest are offered as editor suggestions. Defaults to `"safe"`. */
+    fixMode?: "safe" | "all" | "suggest" | "none";
+    /** Parse imported modules to resolve selectors passed by name from another file. Defaults to `false`. */
+    resolveImports?: boolean;
+    /** Allow destructuring when the selector call uses an equality function or wrapper hook. Defaults to `false`. */
+    allowWithEquality?: boolean;
+    /** Equality functions that make destructuring safe, e.g. `useSelector(selector, shallowEqual)`. */
+    equalityFunctions?: string[];
+    /** Hooks that wrap a selector with an equality check, e.g. `useStore(useShallow(selector))`. */
+    wrapperHooks?: string[];
+    /** Fix destructuring by splitting it, or by selecting the destructured keys with shallow equality. Defaults to `"split"`. */
+    fixStrategy?: "split" | "shallow";
+    /** Use the TypeScript type checker (`parserOptions.project`) to judge selected values by their type. Defaults to `false`. */
+    typeAware?: boolean;
+  }
+
+  /** Options accepted by the `granular-selectors/no-unstable-selector-result` rule. */
+  type NoUnstableSelectorResultOptions = Pick<
+    GranularSelectorsOptions,
+    "preset" | "include" | "exclude" | "importSources" | "resolveImports" | "equalityFunctions" | "wrapperHooks"
+  >;
+
+  /** Options accepted by the `granular-selectors/no-whole-state-selector` rule. */
+  interface NoWholeStateSelectorOptions
+    extends Pick<
+      GranularSelectorsOptions,
+      "preset" | "include" | "exclude" | "importSources" | "resolveImports" | "wrapperHooks"
+    > {
+    /** Minimum number of path segments a selector must select, e.g. `2` to report `state => state.entities`. Defaults to `1`. */
+    minPathDepth?: number;
+  }
+
+  /** Options accepted by the `granular-selectors/no-destructured-memoized-selector` rule. */
+  type NoDestructuredMemoizedSelectorOptions = NoUnstableSelectorResultOptions;
+
+  // A type alias rather than an interface, so it has the implicit index signature `ESLint.Plugin["configs"]` needs
+  type Configs = {
+    /** Legacy eslintrc config: `extends: ["plugin:granular-selectors/recommended"]`. */
+    recommended: ESLint.ConfigData;
+    /** Legacy eslintrc config: `extends: ["plugin:granular-selectors/strict"]`. */
+    strict: ESLint.ConfigData;
+    /** Flat config for `eslint.config.js`. */
+    "flat/recommended": Linter.FlatConfig;
+    /** Flat config for `eslint.config.js`. */
+    "flat/strict": Linter.FlatConfig;
+    /** Legacy eslintrc configs: the recommended rules with a library preset, e.g. `plugin:granular-selectors/zustand`. */
+    redux: ESLint.ConfigData;
+    zustand: ESLint.ConfigData;
+    xstate: ESLint.ConfigData;
+    /** Flat configs: the recommended rules with a library preset. */
+    "flat/redux": Linter.FlatConfig;
+    "flat/zustand": Linter.FlatConfig;
+    "flat/xstate": Linter.FlatConfig;
+  };
+}
+
+declare const plugin: ESLint.Plugin & {
+  meta: {
+    name: string;
+    version: string;
+  };
+  rules: {
+    "granular-selectors": Rule.RuleModule;
+    "no-unstable-selector-result": Rule.RuleModule;
+    "no-whole-state-selector": Rule.RuleModule;
+    "no-destructured-memoized-selector": Rule.RuleModule;
+  };
+  configs: plugin.Configs;
+};
+
+export = plugin;
@@ -3,16 +3,89 @@
  */
 "use strict";
 
-module.exports = {
+var pkg = require("./package.json");
+var presets = require("./lib/utils/presets");
+
+var recommendedRules = {
+  "granular-selectors/granular-selectors": "error",
+  "granular-selectors/no-unstable-selector-result": "warn",
+  "granular-selectors/no-whole-state-selector": "warn",
+};
+
+// The legacy `recommended` config keeps its rules from before the flat configs, so existing
+// `plugin:granular-selectors/recommended` users see no new reports
+var legacyRecommendedRules = {
+  "granular-selectors/granular-selectors": "error",
+};
+
+var strictRules = {
+  "granular-selectors/granular-selectors": "error",
+  "granular-selectors/no-unstable-selector-result": "error",
+  "granular-selectors/no-whole-state-selector": "error",
+};
+
+var plugin = {
+  meta: {
+    name: pkg.name,
+    version: pkg.version,
+  },
   rules: {
     "granular-selectors": require("./lib/rules/granular-selectors"),
+    "no-unstable-selector-result": require("./lib/rules/no-unstable-selector-result"),
+    "no-whole-state-selector": require("./lib/rules/no-whole-state-selector"),
+    "no-destructured-memoized-selector": require("./lib/rules/no-destructured-memoized-selector"),
   },
-  configs: {
-    recommended: {
-      plugins: ["granular-selectors"],
-      rules: {
-        "granular-selectors/granular-selectors": "error",
-      },
+  configs: {},
+};
+
+// Legacy eslintrc configs, used via `extends: ["plugin:granular-selectors/recommended"]`
+plugin.configs.recommended = {
+  plugins: ["granular-selectors"],
+  rules: legacyRecommendedRules,
+};
+
+plugin.configs.strict = {
+  plugins: ["granular-selectors"],
+  rules: strictRules,
+};
+
+// Flat configs reference the plugin object directly, as ESLint 9 requires
+plugin.configs["flat/recommended"] = {
+  name: "granular-selectors/flat/recommended",
+  plugins: {
+    "granular-selectors": plugin,
+  },
+  rules: recommendedRules,
+};
+
+plugin.configs["flat/strict"] = {
+  name: "granular-selectors/flat/strict",
+  plugins: {
+    "granular-selectors": plugin,
+  },
+  rules: strictRules,
+};
+
+// Library configs: the recommended rules with a preset, e.g. `plugin:granular-selectors/zustand` and
+// `configs["flat/zustand"]`
+presets.presetNames.forEach(function (preset) {
+  var rules = {};
+  Object.keys(recommendedRules).forEach(function (ruleName) {
+    rules[ruleName] = [recommendedRules[ruleName], { preset: preset }];
+  });
+
+  plugin.configs[preset] = {
+    plugins: ["granular-selectors"],
+    rules: rules,
+  };
+
+  plugin.configs["flat/" + preset] = {
+    name: "granular-selectors/flat/" + preset,
+    plugins: {
+      "granular-selectors": plugin,
     },
-  }
-};
\ No newline at end of file
+    rules: rules,
+  };
+});
+
+module.exports = plugin;
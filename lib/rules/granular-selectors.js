@@ -3,6 +3,30 @@
  */
 "use strict";
 
+var selectors = require("../utils/selectors");
+var presets = require("../utils/presets");
+var typeInspector = require("../utils/types");
+
+// Type nodes that can be indexed without parentheses, e.g. `User["name"]` but `(User | null)["name"]`
+var INDEXABLE_TYPES = [
+  "TSTypeReference",
+  "TSIndexedAccessType",
+  "TSTypeLiteral",
+  "TSTupleType",
+  "TSArrayType",
+];
+
+// Selected expressions that can be read from without parentheses, e.g. `state.user?.name` or `state.queue[0]`
+var SIMPLE_PATH = /^[\w$]+((\?\.|\.)[\w$]+|(\?\.)?\[\w*\])*$/;
+
+var IDENTIFIER_NAME = /^[A-Za-z_$][\w$]*$/;
+
+// Shallow-equality helpers used by fixStrategy "shallow", by library
+var SHALLOW_HELPERS = {
+  redux: { name: "shallowEqual", source: "react-redux", wrapsSelector: false },
+  zustand: { name: "useShallow", source: "zustand/react/shallow", wrapsSelector: true },
+};
+
 module.exports = {
   meta: {
     type: "suggestion",
@@ -12,33 +36,76 @@ module.exports = {
       recommended: true,
     },
     fixable: "code",
+    hasSuggestions: true,
+    messages: {
+      destructuring:
+        "Avoid destructuring {{names}} from `{{selector}}`; select {{paths}} directly.",
+      propertyAccess:
+        "Avoid reading `{{name}}` from `{{variable}}`, the result of `{{selector}}`; select `{{path}}` directly.",
+      destructuringVariable:
+        "Avoid destructuring {{names}} from `{{variable}}`, the result of `{{selector}}`; select {{paths}} directly.",
+      coordinatedAccess:
+        "Avoid reading {{names}} from `{{variable}}`, the result of `{{selector}}`; select {{paths}} directly.",
+      queryResult:
+        "`selectFromResult` in `{{hook}}` returns {{selected}}, so the component re-renders on every cache update; return only the fields the component uses.",
+      queryResultFields:
+        "`selectFromResult` in `{{hook}}` also returns {{unused}}, which the component doesn't read, so it re-renders when they change; return only {{names}}.",
+      objectResult:
+        "`{{variable}}` holds `{{type}}`, {{kind}} selected by `{{selector}}`, so the component re-renders when any part of it changes; select only the values the component uses.",
+      unfixableDestructuring:
+        "Avoid destructuring {{names}} from the result of `{{selector}}`; select each value the component uses directly. There is no fix because {{reason}}.",
+      loopDestructuring:
+        "Avoid destructuring {{names}} from each item of `{{selector}}`, which re-renders the component when any part of the items changes; select {{paths}} with shallow equality instead.",
+      parameterDestructuring:
+        "`{{callee}}` destructures {{names}} from its parameter, which receives `{{selector}}`; select {{paths}} directly and pass the selected values instead.",
+      complexSelector:
+        "Avoid taking {{names}} from the result of `{{selector}}`; select each value with its own granular selector.",
+      suggestGranular: "Replace with granular selectors for {{names}}.",
+      suggestUnsafeGranular:
+        "Replace with granular selectors for {{names}} ({{changes}}).",
+      suggestShallow: "Select only {{names}} and compare them with `{{equality}}`.",
+      suggestUnsafeShallow:
+        "Select only {{names}} and compare them with `{{equality}}` ({{changes}}).",
+    },
     schema: [
       {
         type: "object",
         properties: {
-          include: {
+          preset: presets.schema,
+          include: selectors.schema.include,
+          exclude: selectors.schema.exclude,
+          importSources: selectors.schema.importSources,
+          ignorePatterns: {
             type: "array",
             items: {
               type: "string"
             },
-            description: "Patterns to include for selector function detection",
-            default: ["use.*Selector.*"]
+            description: "Code patterns to ignore (e.g., specific variable names or patterns)"
           },
-          exclude: {
-            type: "array",
-            items: {
-              type: "string"
-            },
-            description: "Patterns to exclude from selector function detection",
-            default: []
+          fixMode: {
+            type: "string",
+            enum: ["safe", "all", "suggest", "none"],
+            description: "Which fixes run via --fix; the rest are offered as editor suggestions",
+            default: "safe"
           },
-          ignorePatterns: {
-            type: "array",
-            items: {
-              type: "string"
-            },
-            description: "Code patterns to ignore (e.g., specific variable names or patterns)",
-            default: []
+          resolveImports: selectors.schema.resolveImports,
+          allowWithEquality: {
+            type: "boolean",
+            description: "Allow destructuring when the selector call uses an equality function or wrapper hook",
+            default: false
+          },
+          equalityFunctions: selectors.schema.equalityFunctions,
+          wrapperHooks: selectors.schema.wrapperHooks,
+          fixStrategy: {
+            type: "string",
+            enum: ["split", "shallow"],
+            description: "Split destructuring into granular selectors, or select the destructured keys with shallow equality",
+            default: "split"
+          },
+          typeAware: {
+            type: "boolean",
+            description: "Use the TypeScript type checker (parserOptions.project) to judge selected values by their type",
+            default: false
           }
         },
         additionalProperties: false
@@ -47,21 +114,18 @@ module.exports = {
   },
   create: function (context) {
     // Get custom selector patterns from options or use defaults
-    var options = context.options[0] || {};
+    var options = presets.applyPreset(context.options[0] || {});
         
-    var includePatterns = options.include || ["use.*Selector.*"];
-    var excludePatterns = options.exclude || [];
     var ignorePatterns = options.ignorePatterns || [];
+    var stableMembers = options.stableMembers || [];
+    var fixMode = options.fixMode || "safe";
+    var fixStrategy = options.fixStrategy || "split";
+    // Shallow fixes produce equality-guarded destructuring, which must not be reported again
+    var allowWithEquality = options.allowWithEquality === true || fixStrategy === "shallow";
+    var detector = selectors.createSelectorDetector(context, options);
+    var types = options.typeAware ? typeInspector.createTypeInspector(context) : null;
     
     // Compile the patterns into RegExp objects
-    var includeRegexps = includePatterns.map(function(pattern) {
-      return new RegExp(pattern);
-    });
-    
-    var excludeRegexps = excludePatterns.map(function(pattern) {
-      return new RegExp(pattern);
-    });
-    
     var ignoreRegexps = ignorePatterns.map(function(pattern) {
       return new RegExp(pattern);
     });
@@ -69,6 +133,7 @@ module.exports = {
     // Helper to check if a node should be ignored based on ignore patterns
     function shouldIgnore(node) {
       if (!node) return false;
+      if (selectsStableMember(node)) return true;
       
       var sourceCode = getSourceCodeSafely();
       var nodeText = sourceCode.getText(node);
@@ -78,198 +143,413 @@ module.exports = {
       });
     }
 
-    function processObjectPattern(objectPattern, selectorInfo, parentPath) {
-      parentPath = parentPath || "";
-      var selectorName = selectorInfo.selectorName;
+    // Whether the selector call in a declarator, assignment or call returns a path ending in a stable member from
+    // a preset, like zustand's `state => state.actions`, whose value never changes
+    function selectsStableMember(node) {
+      if (!stableMembers.length) return false;
+      var call = node.type === "VariableDeclarator" ? node.init : node.type === "AssignmentExpression" ? node.right : node;
+      if (!call || call.type !== "CallExpression" || !detector.isSelectorFunction(call)) return false;
+
+      var selectorFn = detector.getSelectorFn(call);
+      var param = selectorFn && selectorFn.params[0];
+      if (!param || param.type !== "Identifier") return false;
+      var returned = getReturnedExpression(selectorFn);
+      if (!isParamPath(returned, param.name)) return false;
+      if (returned.type === "ChainExpression") {
+        returned = returned.expression;
+      }
+      if (returned.type !== "MemberExpression") return false;
+      var segment = getKeySegment(returned.property, returned.computed);
+      return segment.key !== undefined && stableMembers.indexOf(String(segment.key)) !== -1;
+    }
+
+    // Format a list of names or paths for interpolation into report messages
+    function formatList(items) {
+      return items
+        .map(function (item) {
+          return "`" + item + "`";
+        })
+        .join(", ");
+    }
+
+    // Describe a selector call for report messages, collapsing whitespace in multi-line selectors
+    function describeSelector(callExpr) {
+      return selectors.describeSelectorCall(context, callExpr);
+    }
+
+    // Build the message data for a report covering several generated selectors
+    function getFixesData(fixes) {
+      return {
+        names: formatList(
+          fixes.map(function (fix) {
+            return fix.name;
+          })
+        ),
+        paths: formatList(
+          fixes.map(function (fix) {
+            return fix.path;
+          })
+        ),
+      };
+    }
+
+    // Describe how an unsafe fix changes the code, for the suggestion message
+    var FIX_CHANGES = {
+      defaults:
+        "default values become `||` fallbacks, which also replace `0`, `\"\"` and `false`",
+      fallback:
+        "the selector's fallback applies to each selected value instead of the selected object",
+      hookScope: "moves a selector hook call into a different block or function",
+      coordinated:
+        "removes the original declaration and rewrites the declarations that read from it",
+      imported: "inlines the imported selector",
+    };
+
+    // Whether a generated selector declaration would land in another block than the original selector call
+    function movesHookScope(selectorDeclaration, targetDeclaration) {
+      return selectorDeclaration.parent !== targetDeclaration.parent;
+    }
+
+    // Report a problem, applying its fix via --fix or offering it as a suggestion depending on fixMode.
+    // `changes` lists how the fix alters behaviour; a fix with no changes is safe. `equality` names the
+    // shallow-equality helper when the fix selects the keys with shallow equality instead of splitting.
+    function reportWithFix(descriptor, fix, names, changes, equality) {
+      var isSafe = changes.length === 0;
+
+      if (fixMode === "all" || (fixMode === "safe" && isSafe)) {
+        descriptor.fix = fix;
+      } else if (fixMode !== "none") {
+        var suggestionData = { names: formatList(names) };
+        if (equality) {
+          suggestionData.equality = equality;
+        }
+        if (!isSafe) {
+          suggestionData.changes = changes.join("; ");
+        }
+
+        var suggestionMessageId = equality
+          ? isSafe ? "suggestShallow" : "suggestUnsafeShallow"
+          : isSafe ? "suggestGranular" : "suggestUnsafeGranular";
+
+        descriptor.suggest = [
+          {
+            messageId: suggestionMessageId,
+            data: suggestionData,
+            fix: fix,
+          },
+        ];
+      }
+
+      context.report(descriptor);
+    }
+
+    // Collect the behaviour changes of a split into granular selectors
+    function getSplitChanges(fixes, fallback) {
+      var changes = [];
+      var hasDefault = fixes.some(function (fix) {
+        return fix.hasDefault;
+      });
+      if (hasDefault) {
+        changes.push(FIX_CHANGES.defaults);
+      }
+      if (fallback) {
+        changes.push(FIX_CHANGES.fallback);
+      }
+      return changes;
+    }
+
+    // Paths are lists of segments: `{ key: "name" }`, `{ key: 0 }`, or `{ expression: "id" }` for a computed key
+    // read from a variable, with `optional` set when the segment is read with `?.`.
+    // Get the segment a property key or member property reads: `name`, `"first-name"` and `0` are static keys,
+    // and `[id]` keeps the expression it reads.
+    function getKeySegment(key, computed, sourceCode) {
+      if (!computed) {
+        return { key: key.type === "Identifier" ? key.name : key.value };
+      }
+      if (key.type === "Literal" && (typeof key.value === "string" || typeof key.value === "number")) {
+        return { key: key.value };
+      }
+      if (key.type === "TemplateLiteral" && !key.expressions.length) {
+        return { key: key.quasis[0].value.cooked };
+      }
+      return { expression: (sourceCode || getSourceCodeSafely()).getText(key) };
+    }
+
+    // Explain why a computed key read outside the selector can't be moved into a generated `paramName => ...`
+    // selector, or return null when it can: literals, and variables other than the parameter, read the same there.
+    // Other keys could read something else, or run their side effects again on every selector call.
+    function getUnportableKeyReason(key, computed, paramName) {
+      if (!computed || getKeySegment(key, computed).expression === undefined) return null;
+      if (key.type === "Identifier" && key.name !== paramName && key.name !== "arguments") return null;
+      return "the computed key `[" + getSourceCodeSafely().getText(key) + "]` would be evaluated inside the selector";
+    }
+
+    // Serialize a segment as the accessor that reads it: `.name`, `["first-name"]`, `[0]`, `[id]` or `?.name`
+    function formatAccessor(segment) {
+      var optional = segment.optional ? "?." : "";
+      if (segment.expression !== undefined) {
+        return optional + "[" + segment.expression + "]";
+      }
+      if (typeof segment.key === "number") {
+        return optional + "[" + segment.key + "]";
+      }
+      if (IDENTIFIER_NAME.test(segment.key)) {
+        return (optional || ".") + segment.key;
+      }
+      return optional + "[" + JSON.stringify(String(segment.key)) + "]";
+    }
+
+    function formatPath(root, segments) {
+      return root + segments.map(formatAccessor).join("");
+    }
+
+    // Get the name a segment is reported by: `name`, `first-name` or `[id]`
+    function describeSegment(segment) {
+      return segment.expression !== undefined ? "[" + segment.expression + "]" : String(segment.key);
+    }
+
+    function hasOptionalSegment(segments) {
+      return segments.some(function (segment) {
+        return segment.optional;
+      });
+    }
+
+    // Get the segments of a path read from the selector's parameter: `user`, `profile` for `state.user.profile`,
+    // `state?.user` and `state["user"]`. Returns null when the expression isn't a path from the parameter.
+    function getStatePath(node, paramName, sourceCode) {
+      var segments = [];
+      if (node.type === "ChainExpression") {
+        node = node.expression;
+      }
+      while (node.type === "MemberExpression") {
+        var segment = getKeySegment(node.property, node.computed, sourceCode);
+        segment.optional = !!node.optional;
+        segments.unshift(segment);
+        node = node.object;
+      }
+      return node.type === "Identifier" && node.name === paramName ? segments : null;
+    }
+
+    // Whether a node reads a member, possibly through optional chaining: `state.user` or `state?.user`
+    function isMemberPath(node) {
+      return (
+        !!node &&
+        (node.type === "MemberExpression" ||
+          (node.type === "ChainExpression" && node.expression.type === "MemberExpression"))
+      );
+    }
+
+    // Get the destructured entries of an object or array pattern with the path segment each one reads:
+    // `name` for `{ name }` and `1` for `[, second]`. Rest elements are left to getUnfixableReason.
+    function getPatternEntries(pattern) {
+      if (pattern.type === "ArrayPattern") {
+        var elements = [];
+        pattern.elements.forEach(function (element, index) {
+          if (element && element.type !== "RestElement") {
+            elements.push({ key: index, segment: { key: index }, value: element });
+          }
+        });
+        return elements;
+      }
+
+      return pattern.properties
+        .filter(function (prop) {
+          return prop.type === "Property";
+        })
+        .map(function (prop) {
+          var segment = getKeySegment(prop.key, prop.computed);
+          return { key: segment.key, segment: segment, value: prop.value };
+        });
+    }
+
+    // Parenthesize an expression taken from the selector's object map, like `state.a || {}`, before reading from it
+    function withPathParentheses(current) {
+      if (current.mapped && !SIMPLE_PATH.test(current.expression)) {
+        current.expression = "(" + current.expression + ")";
+      }
+      return current;
+    }
+
+    // Build a granular selector declaration for each binding in an object or array pattern. `parent` describes
+    // the value the pattern destructures: the expression selecting it, its type segments, whether it may be
+    // undefined (a nested pattern with a `{}` or `[]` default) and whether it came from the selector's object map.
+    function processPattern(pattern, selectorInfo, parent) {
+      var callExpr = selectorInfo.callExpr;
       var paramName = selectorInfo.paramName;
       var paramTypeAnnotation = selectorInfo.paramTypeAnnotation || "";
       var hasParentheses = selectorInfo.hasParentheses;
       var basePath = selectorInfo.basePath;
       var objectMap = selectorInfo.objectMap;
       var useES6 = selectorInfo.useES6;
+      var isRoot = !parent;
+      parent = parent || {
+        expression: formatPath(paramName, basePath),
+        segments: selectorInfo.resultPath || [],
+        optional: false,
+        // `state.user?.profile` may be undefined too
+        nullable: hasOptionalSegment(basePath),
+        mapped: false,
+      };
       var fixes = [];
-      var properties = objectPattern.properties;
-
-      properties.forEach(function (prop) {
-        if (prop.type === "Property") {
-          var keyName =
-            prop.key.name ||
-            (prop.key.value !== undefined ? prop.key.value : "");
-
-          // Build the current path by appending the key name to the parent path
-          var currentPath;
-          if (parentPath) {
-            currentPath = parentPath + "." + keyName;
-          } else {
-            currentPath = keyName;
-          }
 
-          if (prop.value.type === "ObjectPattern") {
-            // For nested destructuring like { user: { name, email } }
-            // Pass the current path (e.g., "user") as the parent path for nested properties
-            var nestedFixes = processObjectPattern(
-              prop.value,
-              selectorInfo,
-              currentPath
-            );
-            fixes.push.apply(fixes, nestedFixes);
-          } else {
-            // Handle property aliases and default values
-            var alias;
-            var defaultValue = "";
+      getPatternEntries(pattern).forEach(function (entry) {
+        var keyName = entry.key;
+        var value = entry.value;
+        var current = {
+          expression:
+            parent.expression +
+            formatAccessor(Object.assign({}, entry.segment, { optional: parent.optional })),
+          segments: parent.segments.concat([keyName]),
+          optional: false,
+          nullable: parent.nullable,
+          mapped: parent.mapped,
+        };
+
+        // Top-level keys of an object or tuple literal returned by the selector select its values directly
+        if (isRoot && objectMap && keyName !== undefined && objectMap[keyName]) {
+          current.expression = objectMap[keyName];
+          current.mapped = true;
+        }
 
-            if (prop.value.type === "Identifier") {
-              // Simple case: { foo }
-              alias = prop.value.name;
-            } else if (prop.value.type === "AssignmentPattern") {
-              // Default value case: { foo = defaultValue }
-              if (prop.value.left.type === "Identifier") {
-                alias = prop.value.left.name;
-                var sourceCode = getSourceCodeSafely();
-                defaultValue = sourceCode.getText(prop.value.right);
-              }
-            }
+        if (value.type === "ObjectPattern" || value.type === "ArrayPattern") {
+          // For nested destructuring like { user: { name, email } } or [[first]]
+          fixes.push.apply(fixes, processPattern(value, selectorInfo, withPathParentheses(current)));
+          return;
+        }
 
-            // If we couldn't determine the alias, use the key name
-            if (!alias) {
-              alias = keyName;
-            }
+        if (
+          value.type === "AssignmentPattern" &&
+          (value.left.type === "ObjectPattern" || value.left.type === "ArrayPattern")
+        ) {
+          // For nested destructuring with an empty default like { user: { name } = {} }, read state.user?.name.
+          // Other defaults are reported without a fix (see getUnfixableReason).
+          current.optional = true;
+          current.nullable = true;
+          fixes.push.apply(fixes, processPattern(value.left, selectorInfo, withPathParentheses(current)));
+          return;
+        }
 
-            // Determine the selector expression based on whether we have an object map
-            var selectorExpression;
-            if (objectMap && objectMap[keyName]) {
-              // If we have a mapping for this property in the object map, use it directly
-              selectorExpression = objectMap[keyName];
-            } else {
-              // Otherwise, build the path as before
-              // Build the full selector path
-              var fullPath;
-              if (basePath) {
-                // If we have a base path from the selector function
-                if (parentPath) {
-                  // For nested properties with a base path: state.basePath.parentPath.keyName
-                  fullPath = basePath + "." + currentPath;
-                } else {
-                  // For top-level properties with a base path: state.basePath.keyName
-                  fullPath = basePath + "." + keyName;
-                }
-              } else {
-                // No base path from the selector function
-                if (parentPath) {
-                  // For nested properties without a base path: state.parentPath.keyName
-                  fullPath = currentPath;
-                } else {
-                  // For top-level properties without a base path: state.keyName
-                  fullPath = keyName;
-                }
-              }
-              
-              selectorExpression = paramName + "." + fullPath;
-              
-              // Apply fallback logic from the original selector if present
-              if (selectorInfo.fallback) {
-                selectorExpression =
-                  selectorExpression +
-                  " " +
-                  selectorInfo.fallback.operator +
-                  " " +
-                  selectorInfo.fallback.value;
-              }
-            }
+        // Handle property aliases and default values
+        var alias;
+        var defaultValue = "";
+        // Default value case: { foo = defaultValue }
+        var target = value.type === "AssignmentPattern" ? value.left : value;
+
+        if (target.type === "Identifier") {
+          // Simple case: { foo }
+          alias = target.name;
+        } else if (target.type === "MemberExpression") {
+          // Assignment targets like ({ foo: this.foo } = ...)
+          alias = getSourceCodeSafely().getText(target);
+        }
+        if (alias && value.type === "AssignmentPattern") {
+          defaultValue = getSourceCodeSafely().getText(value.right);
+        }
 
-            var newSelector;
-            if (useES6) {
-              // ES6 style with const and arrow function, preserving type annotation
-              // Ensure parentheses are included when there's a type annotation
-              var paramWithType = paramTypeAnnotation
-                ? hasParentheses
-                  ? "(" + paramName + paramTypeAnnotation + ")"
-                  : paramName + paramTypeAnnotation
-                : paramName;
+        // If we couldn't determine the alias, use the key name
+        if (!alias) {
+          alias = keyName;
+        }
 
-              // For object literals, preserve the original parameter format
-              if (objectMap && selectorInfo.originalParamFormat) {
-                paramWithType = selectorInfo.originalParamFormat;
-              }
+        var selectorExpression = current.expression;
+        var selectedPath = selectorExpression;
+        // An optional parent like `user?` may be undefined, so `State["user"]["name"]` wouldn't type-check, and
+        // a computed key like `[id]` has no key to index the type with
+        var selectedType =
+          current.nullable || current.segments.indexOf(undefined) !== -1 ? null : indexSelectedType(current.segments);
+
+        // Apply fallback logic from the original selector if present
+        if (!current.mapped && selectorInfo.fallback) {
+          selectedType = null;
+          selectorExpression =
+            selectorExpression +
+            " " +
+            selectorInfo.fallback.operator +
+            " " +
+            selectorInfo.fallback.value;
+        }
 
-              if (defaultValue) {
-                // Handle default values by using logical OR after the selector
-                newSelector =
-                  "const " +
-                  alias +
-                  " = " +
-                  selectorName +
-                  "(" +
-                  paramWithType +
-                  " => " +
-                  selectorExpression +
-                  ") || " +
-                  defaultValue +
-                  ";";
-              } else {
-                newSelector =
-                  "const " +
-                  alias +
-                  " = " +
-                  selectorName +
-                  "(" +
-                  paramWithType +
-                  " => " +
-                  selectorExpression +
-                  ");";
-              }
-            } else {
-              // ES5 style with var and function expression
-              // Type annotations aren't valid in ES5, so we don't include them
-              
-              if (defaultValue) {
-                // Handle default values by using logical OR after the selector
-                newSelector =
-                  "var " +
-                  alias +
-                  " = " +
-                  selectorName +
-                  "(function(" +
-                  paramName +
-                  ") { return " +
-                  selectorExpression +
-                  "; }) || " +
-                  defaultValue +
-                  ";";
-              } else {
-                newSelector =
-                  "var " +
-                  alias +
-                  " = " +
-                  selectorName +
-                  "(function(" +
-                  paramName +
-                  ") { return " +
-                  selectorExpression +
-                  "; });";
-              }
-            }
+        // Assignments like ({ foo } = ...) assign each selected value instead of declaring it
+        var keyword = selectorInfo.isAssignment ? "" : useES6 ? "const " : "var ";
+        var newSelector;
+        if (useES6) {
+          // ES6 style with const and arrow function, preserving type annotation
+          // Ensure parentheses are included when there's a type annotation
+          var paramWithType = paramTypeAnnotation
+            ? hasParentheses
+              ? "(" + paramName + paramTypeAnnotation + ")"
+              : paramName + paramTypeAnnotation
+            : paramName;
+
+          // For object literals, preserve the original parameter format
+          if (objectMap && selectorInfo.originalParamFormat) {
+            paramWithType = selectorInfo.originalParamFormat;
+          }
 
-            fixes.push({
-              type: "declaration",
-              text: newSelector,
-            });
+          if (defaultValue) {
+            // Handle default values by using logical OR after the selector
+            newSelector =
+              keyword +
+              alias +
+              " = " +
+              buildSelectorCall(callExpr, paramWithType + " => " + selectorExpression, selectedType) +
+              " || " +
+              defaultValue +
+              ";";
+          } else {
+            newSelector =
+              keyword +
+              alias +
+              " = " +
+              buildSelectorCall(callExpr, paramWithType + " => " + selectorExpression, selectedType) +
+              ";";
+          }
+        } else {
+          // ES5 style with var and function expression
+          // Type annotations aren't valid in ES5, so we don't include them
+          
+          if (defaultValue) {
+            // Handle default values by using logical OR after the selector
+            newSelector =
+              keyword +
+              alias +
+              " = " +
+              buildSelectorCall(
+                callExpr,
+                "function(" + paramName + ") { return " + selectorExpression + "; }",
+                selectedType
+              ) +
+              " || " +
+              defaultValue +
+              ";";
+          } else {
+            newSelector =
+              keyword +
+              alias +
+              " = " +
+              buildSelectorCall(
+                callExpr,
+                "function(" + paramName + ") { return " + selectorExpression + "; }",
+                selectedType
+              ) +
+              ";";
           }
         }
+
+        fixes.push({
+          type: "declaration",
+          text: newSelector,
+          name: alias,
+          path: selectedPath,
+          hasDefault: !!defaultValue,
+        });
       });
 
       return fixes;
     }
 
     function getSourceCodeSafely() {
-      if (typeof context.getSourceCode === "function") {
-        return context.getSourceCode();
-      }
-      return {
-        getText: function (node) {
-          return context.getSource(node);
-        },
-      };
+      return selectors.getSourceCode(context);
     }
 
     function getParamName(funcNode) {
@@ -287,20 +567,8 @@ module.exports = {
 
       var param = funcNode.params[0];
 
-      // Check for TypeScript type annotation
-      if (param.typeAnnotation) {
-        return sourceCode.getText(param.typeAnnotation);
-      }
-
-      // If no direct type annotation property, try to extract it from the source
-      var paramText = sourceCode.getText(param);
-      var typeMatch = paramText.match(/^[a-zA-Z0-9_]+(\s*:\s*[^)]+)$/);
-
-      if (typeMatch && typeMatch[1]) {
-        return typeMatch[1];
-      }
-
-      return "";
+      // The annotation node's text includes the colon: `: Pick<Root, "a" | "b">`
+      return param.typeAnnotation ? sourceCode.getText(param.typeAnnotation) : "";
     }
 
     // Check if the function has parentheses around its parameters
@@ -309,31 +577,46 @@ module.exports = {
         return false;
       }
 
-      // Get the source text of the function
-      var funcText = sourceCode.getText(funcNode);
-
-      // Check if the function has parentheses around its parameters
       // Arrow function with parentheses: (param) => ...
-      return /^\([^)]*\)\s*=>/.test(funcText);
+      return funcNode.type === "ArrowFunctionExpression" && sourceCode.getText(funcNode).charAt(0) === "(";
+    }
+
+    // Map the keys of an object literal like `{ a: state.x, b: state.y ?? 0 }` to their values
+    function getObjectMap(objectExpr, sourceCode) {
+      var objectMap = {};
+      objectExpr.properties.forEach(function (prop) {
+        if (prop.key && prop.value) {
+          var keyName = prop.key.name || (prop.key.value !== undefined ? prop.key.value : "");
+          objectMap[keyName] = sourceCode.getText(prop.value);
+        }
+      });
+      return objectMap;
+    }
+
+    // Map the indexes of a tuple literal like `[state.a, state.b]` to their values, or null when it has a spread
+    function getTupleMap(arrayExpr, sourceCode) {
+      var tupleMap = {};
+      for (var i = 0; i < arrayExpr.elements.length; i++) {
+        var element = arrayExpr.elements[i];
+        if (element && element.type === "SpreadElement") return null;
+        tupleMap[i] = element ? sourceCode.getText(element) : "undefined";
+      }
+      return tupleMap;
     }
 
     // Extract the base path and fallback from a selector function
     function extractSelectorInfo(selectorFn, paramName, sourceCode) {
-      if (!selectorFn || !paramName) return { basePath: "", fallback: null, objectMap: null };
+      if (!selectorFn || !paramName) return { basePath: [], fallback: null, objectMap: null };
 
       var body = selectorFn.body;
-      var result = { basePath: "", fallback: null, objectMap: null };
+      var result = { basePath: [], fallback: null, objectMap: null };
 
       // Handle arrow functions with expression bodies: state => state.foo
       if (
         selectorFn.type === "ArrowFunctionExpression" &&
-        body.type === "MemberExpression"
+        isMemberPath(body)
       ) {
-        var exprText = sourceCode.getText(body);
-        result.basePath = exprText.replace(
-          new RegExp("^" + paramName + "\\."),
-          ""
-        );
+        result.basePath = getStatePath(body, paramName, sourceCode) || [];
         return result;
       }
 
@@ -342,31 +625,16 @@ module.exports = {
         selectorFn.type === "ArrowFunctionExpression" &&
         body.type === "ObjectExpression"
       ) {
-        var objectMap = {};
-        body.properties.forEach(function(prop) {
-          if (prop.key && prop.value) {
-            var keyName = prop.key.name || (prop.key.value !== undefined ? prop.key.value : "");
-            var valuePath = "";
-            
-            // Handle different types of values
-            if (prop.value.type === "MemberExpression") {
-              // For simple member expressions like state.profile.name
-              valuePath = sourceCode.getText(prop.value);
-            } else if (prop.value.type === "LogicalExpression" || prop.value.type === "BinaryExpression") {
-              // For expressions with fallbacks like state.notifications?.err
-              if (prop.value.left && prop.value.left.type === "MemberExpression") {
-                valuePath = sourceCode.getText(prop.value.left);
-              }
-            } else {
-              // For other types, just use the source text
-              valuePath = sourceCode.getText(prop.value);
-            }
-            
-            objectMap[keyName] = valuePath;
-          }
-        });
-        
-        result.objectMap = objectMap;
+        result.objectMap = getObjectMap(body, sourceCode);
+        return result;
+      }
+
+      // Handle arrow functions with expression bodies that are tuple literals: state => [state.a, state.b]
+      if (
+        selectorFn.type === "ArrowFunctionExpression" &&
+        body.type === "ArrayExpression"
+      ) {
+        result.objectMap = getTupleMap(body, sourceCode);
         return result;
       }
 
@@ -375,12 +643,8 @@ module.exports = {
         selectorFn.type === "ArrowFunctionExpression" &&
         (body.type === "LogicalExpression" || body.type === "BinaryExpression")
       ) {
-        if (body.left && body.left.type === "MemberExpression") {
-          var leftText = sourceCode.getText(body.left);
-          result.basePath = leftText.replace(
-            new RegExp("^" + paramName + "\\."),
-            ""
-          );
+        if (isMemberPath(body.left)) {
+          result.basePath = getStatePath(body.left, paramName, sourceCode) || [];
 
           // Preserve the fallback (right side of || or ??)
           if (body.operator === "||" || body.operator === "??") {
@@ -402,40 +666,16 @@ module.exports = {
           return stmt.type === "ReturnStatement";
         });
         if (returnStmt && returnStmt.argument) {
-          if (returnStmt.argument.type === "MemberExpression") {
-            var returnText = sourceCode.getText(returnStmt.argument);
-            result.basePath = returnText.replace(
-              new RegExp("^" + paramName + "\\."),
-              ""
-            );
+          if (isMemberPath(returnStmt.argument)) {
+            result.basePath = getStatePath(returnStmt.argument, paramName, sourceCode) || [];
             return result;
           } else if (returnStmt.argument.type === "ObjectExpression") {
             // Handle object literals in return statements: return { foo: state.a, bar: state.b }
-            var objectMap = {};
-            returnStmt.argument.properties.forEach(function(prop) {
-              if (prop.key && prop.value) {
-                var keyName = prop.key.name || (prop.key.value !== undefined ? prop.key.value : "");
-                var valuePath = "";
-                
-                // Handle different types of values
-                if (prop.value.type === "MemberExpression") {
-                  // For simple member expressions like state.profile.name
-                  valuePath = sourceCode.getText(prop.value);
-                } else if (prop.value.type === "LogicalExpression" || prop.value.type === "BinaryExpression") {
-                  // For expressions with fallbacks like state.notifications?.err
-                  if (prop.value.left && prop.value.left.type === "MemberExpression") {
-                    valuePath = sourceCode.getText(prop.value.left);
-                  }
-                } else {
-                  // For other types, just use the source text
-                  valuePath = sourceCode.getText(prop.value);
-                }
-                
-                objectMap[keyName] = valuePath;
-              }
-            });
-            
-            result.objectMap = objectMap;
+            result.objectMap = getObjectMap(returnStmt.argument, sourceCode);
+            return result;
+          } else if (returnStmt.argument.type === "ArrayExpression") {
+            // Handle tuple literals in return statements: return [state.a, state.b]
+            result.objectMap = getTupleMap(returnStmt.argument, sourceCode);
             return result;
           } else if (
             returnStmt.argument.type === "LogicalExpression" ||
@@ -444,14 +684,9 @@ module.exports = {
           ) {
             // For complex expressions like state.foo || {}, extract both the path and fallback
             if (
-              returnStmt.argument.left &&
-              returnStmt.argument.left.type === "MemberExpression"
+              isMemberPath(returnStmt.argument.left)
             ) {
-              var leftText = sourceCode.getText(returnStmt.argument.left);
-              result.basePath = leftText.replace(
-                new RegExp("^" + paramName + "\\."),
-                ""
-              );
+              result.basePath = getStatePath(returnStmt.argument.left, paramName, sourceCode) || [];
 
               // Preserve the fallback (right side of || or ??)
               if (
@@ -469,46 +704,26 @@ module.exports = {
         }
       }
 
-      // Handle function expressions: function(state) { return state.foo }
-      if (selectorFn.type === "FunctionExpression" && body.body) {
+      // Handle function expressions and declarations: function(state) { return state.foo }
+      if (
+        (selectorFn.type === "FunctionExpression" ||
+          selectorFn.type === "FunctionDeclaration") &&
+        body.body
+      ) {
         var funcReturnStmt = body.body.find(function (stmt) {
           return stmt.type === "ReturnStatement";
         });
         if (funcReturnStmt && funcReturnStmt.argument) {
-          if (funcReturnStmt.argument.type === "MemberExpression") {
-            var funcReturnText = sourceCode.getText(funcReturnStmt.argument);
-            result.basePath = funcReturnText.replace(
-              new RegExp("^" + paramName + "\\."),
-              ""
-            );
+          if (isMemberPath(funcReturnStmt.argument)) {
+            result.basePath = getStatePath(funcReturnStmt.argument, paramName, sourceCode) || [];
             return result;
           } else if (funcReturnStmt.argument.type === "ObjectExpression") {
             // Handle object literals in return statements: return { foo: state.a, bar: state.b }
-            var objectMap = {};
-            funcReturnStmt.argument.properties.forEach(function(prop) {
-              if (prop.key && prop.value) {
-                var keyName = prop.key.name || (prop.key.value !== undefined ? prop.key.value : "");
-                var valuePath = "";
-                
-                // Handle different types of values
-                if (prop.value.type === "MemberExpression") {
-                  // For simple member expressions like state.profile.name
-                  valuePath = sourceCode.getText(prop.value);
-                } else if (prop.value.type === "LogicalExpression" || prop.value.type === "BinaryExpression") {
-                  // For expressions with fallbacks like state.notifications?.err
-                  if (prop.value.left && prop.value.left.type === "MemberExpression") {
-                    valuePath = sourceCode.getText(prop.value.left);
-                  }
-                } else {
-                  // For other types, just use the source text
-                  valuePath = sourceCode.getText(prop.value);
-                }
-                
-                objectMap[keyName] = valuePath;
-              }
-            });
-            
-            result.objectMap = objectMap;
+            result.objectMap = getObjectMap(funcReturnStmt.argument, sourceCode);
+            return result;
+          } else if (funcReturnStmt.argument.type === "ArrayExpression") {
+            // Handle tuple literals in return statements: return [state.a, state.b]
+            result.objectMap = getTupleMap(funcReturnStmt.argument, sourceCode);
             return result;
           } else if (
             funcReturnStmt.argument.type === "LogicalExpression" ||
@@ -517,16 +732,9 @@ module.exports = {
           ) {
             // For complex expressions like state.foo || {}, extract both the path and fallback
             if (
-              funcReturnStmt.argument.left &&
-              funcReturnStmt.argument.left.type === "MemberExpression"
+              isMemberPath(funcReturnStmt.argument.left)
             ) {
-              var funcLeftText = sourceCode.getText(
-                funcReturnStmt.argument.left
-              );
-              result.basePath = funcLeftText.replace(
-                new RegExp("^" + paramName + "\\."),
-                ""
-              );
+              result.basePath = getStatePath(funcReturnStmt.argument.left, paramName, sourceCode) || [];
 
               // Preserve the fallback (right side of || or ??)
               if (
@@ -544,66 +752,850 @@ module.exports = {
         }
       }
 
-      return result;
+      return result;
+    }
+
+    // Extract the base path from a selector function (for backward compatibility)
+    function extractBasePath(selectorFn, paramName, sourceCode) {
+      return extractSelectorInfo(selectorFn, paramName, sourceCode).basePath;
+    }
+
+    // Get the type arguments of a selector hook call. `useSelector<RootState, User>(...)` passes the state and
+    // selected types; typed hooks and Zustand stores (`useAppSelector<User>(...)`) pass only the selected type.
+    function getHookTypeArguments(callExpr) {
+      var typeArgs = callExpr.typeArguments || callExpr.typeParameters;
+      if (!typeArgs || !typeArgs.params.length) return null;
+
+      var params = typeArgs.params;
+      return params.length > 1
+        ? { state: params[0], selected: params[1] }
+        : { state: null, selected: params[0] };
+    }
+
+    // Narrow a selected type to a path within it: `User` becomes `User["profile"]["name"]`
+    function indexSelectedType(segments) {
+      return function (typeText) {
+        return typeText + segments.map(function (segment) {
+          return "[" + (typeof segment === "number" ? segment : JSON.stringify(String(segment))) + "]";
+        }).join("");
+      };
+    }
+
+    // Narrow a selected type to the destructured keys: `User` becomes `Pick<User, "id" | "name">`
+    function pickSelectedType(pattern) {
+      var keys = pattern.properties.map(function (prop) {
+        return JSON.stringify(prop.key.type === "Identifier" ? prop.key.name : String(prop.key.value));
+      });
+      return function (typeText) {
+        return "Pick<" + typeText + ", " + keys.join(" | ") + ">";
+      };
+    }
+
+    // Whether a selected type is a union with `null` or `undefined`, like `User | null`, which can't be indexed
+    function isNullableUnion(typeNode) {
+      return (
+        typeNode.type === "TSUnionType" &&
+        typeNode.types.some(function (type) {
+          return type.type === "TSNullKeyword" || type.type === "TSUndefinedKeyword";
+        })
+      );
+    }
+
+    // Annotate an unannotated selector parameter: `state => ...` becomes `(state: RootState) => ...`
+    function annotateSelectorParam(selectorText, typeText) {
+      return selectorText.replace(
+        /^(function\s*)?\(?([A-Za-z_$][\w$]*)\)?(?=\s*(=>|\{))/,
+        function (match, functionKeyword, name) {
+          return (functionKeyword || "") + "(" + name + ": " + typeText + ")";
+        }
+      );
+    }
+
+    // Build a call to the same selector hook with a new selector, e.g. `store.useSelector(state => state.a)`.
+    // Arguments other than the selector are kept as written; a hook called without a selector gets one appended.
+    // Type arguments are kept with the selected type narrowed by `narrowSelectedType`; without one (e.g. when a
+    // fallback changes the selected type), or when the selected type may be null, they are dropped and the state
+    // type moves to the selector's parameter.
+    function buildSelectorCall(callExpr, selectorText, narrowSelectedType) {
+      var sourceCode = getSourceCodeSafely();
+      var text = sourceCode.getText();
+      var args = callExpr.arguments;
+      var selectorIndex = detector.getSelectorArgIndex(callExpr);
+      var openParen = sourceCode.getTokenAfter(callExpr.typeArguments || callExpr.typeParameters || callExpr.callee, function (token) {
+        return token.value === "(";
+      });
+      var typeArgsText = "";
+      var typeArgs = getHookTypeArguments(callExpr);
+
+      if (typeArgs) {
+        var stateText = typeArgs.state ? sourceCode.getText(typeArgs.state) : "";
+        var selectedText = sourceCode.getText(typeArgs.selected);
+        if (INDEXABLE_TYPES.indexOf(typeArgs.selected.type) === -1) {
+          selectedText = "(" + selectedText + ")";
+        }
+
+        if (narrowSelectedType && !isNullableUnion(typeArgs.selected)) {
+          typeArgsText = "<" + (stateText ? stateText + ", " : "") + narrowSelectedType(selectedText) + ">";
+        } else if (stateText) {
+          selectorText = annotateSelectorParam(selectorText, stateText);
+        }
+      }
+
+      var before = sourceCode.getText(callExpr.callee) + typeArgsText + "(";
+
+      if (selectorIndex < args.length) {
+        var selectorArg = args[selectorIndex];
+        return (
+          before +
+          text.slice(openParen.range[1], selectorArg.range[0]) +
+          selectorText +
+          text.slice(selectorArg.range[1], callExpr.range[1])
+        );
+      }
+
+      var closeParen = sourceCode.getLastToken(callExpr);
+      var leadingArgs = text.slice(openParen.range[1], closeParen.range[0]).trim();
+      return before + (leadingArgs ? leadingArgs + ", " : "") + selectorText + ")";
+    }
+
+    // Describe how inlining an imported selector changes the code, if the selector was imported
+    function getImportChanges(selectorFn) {
+      var imported = detector.getImportedSelector(selectorFn);
+      return imported ? [FIX_CHANGES.imported + " `" + imported.name + "`"] : [];
+    }
+
+    // Destructuring is fine when allowWithEquality is on and the call has an equality guard
+    function isAllowedByEquality(callExpr) {
+      return allowWithEquality && detector.hasEqualityGuard(callExpr);
+    }
+
+    // With typeAware, destructuring is fine when the selected value is a tuple of primitives or an object of
+    // functions only (e.g. a store's actions), which keep their identity between store updates
+    function hasStableType(callExpr) {
+      if (!types) return false;
+      var typeInfo = types.getTypeInfo(callExpr);
+      return !!typeInfo && (typeInfo.kind === "primitiveTuple" || typeInfo.kind === "functionBag");
+    }
+
+    function isAllowedSelection(callExpr) {
+      return isAllowedByEquality(callExpr) || hasStableType(callExpr);
+    }
+
+    // With typeAware, report a selector result kept whole when its type is an object or array.
+    // Results that are destructured or read from later are reported by the other handlers.
+    function reportObjectResult(node, variable) {
+      if (!types || node.id.type !== "Identifier" || isAllowedByEquality(node.init)) return;
+
+      var isDestructured = variable && variable.references.some(function (ref) {
+        var parent = ref.identifier.parent;
+        return (
+          parent.type === "VariableDeclarator" &&
+          parent.init === ref.identifier &&
+          /^(Object|Array)Pattern$/.test(parent.id.type)
+        );
+      });
+      if (isDestructured) return;
+
+      var typeInfo = types.getTypeInfo(node.init);
+      if (!typeInfo || (typeInfo.kind !== "object" && typeInfo.kind !== "array")) return;
+
+      context.report({
+        node: node,
+        messageId: "objectResult",
+        data: {
+          variable: node.id.name,
+          selector: describeSelector(node.init),
+          type: typeInfo.text,
+          kind: typeInfo.kind === "array" ? "an array" : "an object",
+        },
+      });
+    }
+
+    // Collect what processPattern needs to split destructuring of a selector call's result into granular selectors
+    function getDestructuringInfo(callExpr, selectorFn, paramName, useES6) {
+      var selectorSource = detector.getSourceCodeFor(selectorFn);
+
+      // Extract TypeScript type annotation if present
+      var paramTypeAnnotation = getParamTypeAnnotation(
+        selectorFn,
+        selectorSource
+      );
+
+      // Check if the function has parentheses around its parameters
+      var hasParentheses = hasParenthesesAroundParams(
+        selectorFn,
+        selectorSource
+      );
+
+      // Special handling for object literals in selectors
+      var objectMap = null;
+      var basePath = [];
+      var fallback = null;
+      var originalParamFormat = null;
+
+      // Check if the selector returns an object literal
+      if (
+        selectorFn.type === "ArrowFunctionExpression" &&
+        (selectorFn.body.type === "ObjectExpression" ||
+          (selectorFn.body.type === "ParenthesizedExpression" &&
+            selectorFn.body.expression &&
+            selectorFn.body.expression.type === "ObjectExpression"))
+      ) {
+        // Extract the object expression
+        var objectExpr = selectorFn.body.type === "ObjectExpression"
+          ? selectorFn.body
+          : selectorFn.body.expression;
+        
+        // Create a map of property names to their full paths
+        objectMap = getObjectMap(objectExpr, selectorSource);
+
+        // For object literals, capture the original parameter format
+        var fnText = selectorSource.getText(selectorFn);
+        var arrowIndex = selectorFn.returnType
+          ? selectorFn.returnType.range[0] - selectorFn.range[0]
+          : fnText.indexOf("=>");
+        if (arrowIndex !== -1) {
+          originalParamFormat = fnText.substring(0, arrowIndex).trim();
+        }
+      } else {
+        // For non-object literals, use the regular path extraction
+        var extracted = extractSelectorInfo(
+          selectorFn,
+          paramName,
+          selectorSource
+        );
+        basePath = extracted.basePath;
+        fallback = extracted.fallback;
+        // Block bodies and function selectors can return object literals too
+        objectMap = extracted.objectMap;
+      }
+
+      return {
+        callExpr: callExpr,
+        paramName: paramName,
+        paramTypeAnnotation: paramTypeAnnotation,
+        hasParentheses: hasParentheses,
+        basePath: basePath,
+        fallback: fallback,
+        objectMap: objectMap,
+        useES6: useES6,
+        originalParamFormat: originalParamFormat,
+      };
+    }
+
+    // Get the expression a selector function returns, or null when it has no single return value
+    function getReturnedExpression(selectorFn) {
+      if (selectorFn.body.type !== "BlockStatement") {
+        return selectorFn.body;
+      }
+      var returnStmt = selectorFn.body.body.find(function (stmt) {
+        return stmt.type === "ReturnStatement";
+      });
+      return returnStmt ? returnStmt.argument : null;
+    }
+
+    function isParamPath(node, paramName) {
+      if (node && node.type === "ChainExpression") {
+        node = node.expression;
+      }
+      while (node && node.type === "MemberExpression") {
+        node = node.object;
+      }
+      return !!node && node.type === "Identifier" && node.name === paramName;
+    }
+
+    // Whether extractSelectorInfo fully understands what the selector returns, so granular selectors can be generated
+    // without changing what the code selects: a path from the parameter, a path with a `||`/`??` fallback, or an
+    // object or tuple literal. Anything else, like `s => compute(s)` or a block with more than its return, is not.
+    // Given the `keys` the code reads from the result, each key read from a returned literal must be one the literal
+    // has: an index past the end of `s => [s.x]` is `undefined`, not a path from the state.
+    function isAnalyzableSelector(selectorFn, paramName, keys) {
+      if (selectorFn.body.type === "BlockStatement" && selectorFn.body.body.length !== 1) return false;
+
+      var returned = getReturnedExpression(selectorFn);
+      if (!returned) return false;
+      if (keys && !hasLiteralKeys(returned, keys)) return false;
+
+      if (returned.type === "ObjectExpression") {
+        return returned.properties.every(function (prop) {
+          return prop.type === "Property" && !prop.computed;
+        });
+      }
+      if (returned.type === "ArrayExpression") {
+        return returned.elements.every(function (element) {
+          return !element || element.type !== "SpreadElement";
+        });
+      }
+      if (returned.type === "LogicalExpression") {
+        return (
+          (returned.operator === "||" || returned.operator === "??") &&
+          isMemberPath(returned.left) &&
+          isParamPath(returned.left, paramName)
+        );
+      }
+      return isParamPath(returned, paramName);
+    }
+
+    // Whether every key read from a returned object or tuple literal is one of its keys
+    function hasLiteralKeys(returned, keys) {
+      if (returned.type !== "ObjectExpression" && returned.type !== "ArrayExpression") return true;
+
+      return keys.every(function (key) {
+        if (returned.type === "ArrayExpression") {
+          return typeof key === "number" && key < returned.elements.length;
+        }
+        return returned.properties.some(function (prop) {
+          return prop.type === "Property" && !prop.computed && getKeySegment(prop.key, false).key === key;
+        });
+      });
+    }
+
+    // Get the keys a destructuring pattern reads from the value it destructures
+    function getPatternKeys(pattern) {
+      return getPatternEntries(pattern).map(function (entry) {
+        return entry.key;
+      });
+    }
+
+    // Get the local binding names of a destructuring pattern
+    function getPatternNames(pattern) {
+      var names = [];
+      var elements = pattern.type === "ArrayPattern" ? pattern.elements : pattern.properties;
+      elements.forEach(function (element) {
+        if (!element) return;
+        var value = element.type === "Property" ? element.value : element;
+        if (value.type === "RestElement" || value.type === "ExperimentalRestProperty") {
+          value = value.argument;
+        }
+        if (value.type === "AssignmentPattern") {
+          value = value.left;
+        }
+        if (value.type === "Identifier") {
+          names.push(value.name);
+        } else if (value.type === "MemberExpression") {
+          names.push(getSourceCodeSafely().getText(value));
+        } else if (value.type === "ObjectPattern" || value.type === "ArrayPattern") {
+          names.push.apply(names, getPatternNames(value));
+        }
+      });
+      return names;
+    }
+
+    // Explain why a destructuring pattern can't be split into granular selectors, or return null when it can.
+    // A rest element needs the whole selected value, only an empty default becomes optional chaining, and computed
+    // keys must mean the same inside a selector reading from `paramName`.
+    function getUnfixableReason(pattern, paramName) {
+      var elements = pattern.type === "ArrayPattern" ? pattern.elements : pattern.properties;
+      for (var i = 0; i < elements.length; i++) {
+        var element = elements[i];
+        if (!element) continue;
+        if (element.type === "RestElement" || element.type === "ExperimentalRestProperty") {
+          return "`..." + getSourceCodeSafely().getText(element.argument) + "` needs the whole selected " +
+            (pattern.type === "ArrayPattern" ? "array" : "object");
+        }
+
+        var keyReason = element.type === "Property" && getUnportableKeyReason(element.key, element.computed, paramName);
+        if (keyReason) return keyReason;
+
+        var value = element.type === "Property" ? element.value : element;
+        if (
+          value.type === "AssignmentPattern" &&
+          (value.left.type === "ObjectPattern" || value.left.type === "ArrayPattern")
+        ) {
+          var emptyDefault = value.left.type === "ObjectPattern"
+            ? value.right.type === "ObjectExpression" && !value.right.properties.length
+            : value.right.type === "ArrayExpression" && !value.right.elements.length;
+          if (!emptyDefault) {
+            var keyName = element.type === "Property"
+              ? element.key.name || (element.key.value !== undefined ? element.key.value : "")
+              : "[" + i + "]";
+            return "the default for `" + keyName + "` is not `" +
+              (value.left.type === "ObjectPattern" ? "{}" : "[]") + "`, so it can't become optional chaining";
+          }
+          value = value.left;
+        }
+        if (value.type === "ObjectPattern" || value.type === "ArrayPattern") {
+          var reason = getUnfixableReason(value, paramName);
+          if (reason) return reason;
+        }
+      }
+      return null;
+    }
+
+    function reportUnfixableDestructuring(node, pattern, callExpr, reason) {
+      context.report({
+        node: node,
+        messageId: "unfixableDestructuring",
+        data: {
+          names: formatList(getPatternNames(pattern)),
+          selector: describeSelector(callExpr),
+          reason: reason,
+        },
+      });
+    }
+
+    // Report a selector that is too complex to split automatically, without a fix or suggestion
+    function reportComplexSelector(node, names, callExpr) {
+      context.report({
+        node: node,
+        messageId: "complexSelector",
+        data: {
+          names: formatList(names),
+          selector: describeSelector(callExpr),
+        },
+      });
+    }
+
+    // Describe what an RTK Query `selectFromResult` callback passes on when it returns the whole query result or
+    // the whole `data`, directly, spread or as a value of the returned object; null when it selects less
+    function describeWholeQueryResult(selectorFn) {
+      var paramName = getParamName(selectorFn);
+      var returned = paramName && getReturnedExpression(selectorFn);
+      if (!returned) return null;
+
+      var selectorSource = detector.getSourceCodeFor(selectorFn);
+
+      // `result` is the whole query result and `result.data` the whole `data`
+      function describe(node) {
+        var path = null;
+        if (node.type === "Identifier" && node.name === paramName) {
+          path = [];
+        } else if (isMemberPath(node)) {
+          path = getStatePath(node, paramName, selectorSource);
+        }
+        if (!path) return null;
+        if (!path.length) return "the whole query result";
+        return path.length === 1 && path[0].key === "data" ? "the whole `data`" : null;
+      }
+
+      var selectorInfo = extractSelectorInfo(selectorFn, paramName, selectorSource);
+      if (!selectorInfo.objectMap) {
+        return returned.type === "LogicalExpression" ? describe(returned.left) : describe(returned);
+      }
+
+      // `({ ...result })` and `({ data: result.data })` pass on the same values the object is compared by
+      var described = null;
+      if (returned.type === "ObjectExpression") {
+        returned.properties.some(function (prop) {
+          described = describe(prop.type === "SpreadElement" ? prop.argument : prop.value);
+          return !!described;
+        });
+      }
+      return described;
+    }
+
+    // Get the object literal returned by a `selectFromResult` callback written inline in an RTK Query hook call
+    function getInlineQueryResultReturn(callExpr) {
+      var returned = null;
+      callExpr.arguments.some(function (arg) {
+        if (arg.type !== "ObjectExpression") return false;
+        return arg.properties.some(function (prop) {
+          if (prop.type !== "Property" || prop.computed || getKeySegment(prop.key, false).key !== "selectFromResult") {
+            return false;
+          }
+          returned = selectors.isFunctionNode(prop.value) ? getReturnedExpression(prop.value) : null;
+          return true;
+        });
+      });
+      return returned && returned.type === "ObjectExpression" ? returned : null;
+    }
+
+    // Report fields a `selectFromResult` object literal returns that the destructuring doesn't read, since they
+    // re-render the component too: `const { a } = useGetPostsQuery(arg, { selectFromResult: r => ({ a: r.data.a,
+    // b: r.data.b }) })`. An inline callback is fixed by returning only the destructured fields.
+    function checkQueryResultFields(node, pattern, selectorFn) {
+      var paramName = getParamName(selectorFn);
+      if (!paramName || !isAnalyzableSelector(selectorFn, paramName)) return;
+
+      var selectorInfo = extractSelectorInfo(selectorFn, paramName, detector.getSourceCodeFor(selectorFn));
+      var returned = getReturnedExpression(selectorFn);
+      if (!selectorInfo.objectMap || returned.type !== "ObjectExpression") return;
+
+      var isPlainPattern = pattern.properties.every(function (prop) {
+        return prop.type === "Property" && getKeySegment(prop.key, prop.computed).expression === undefined;
+      });
+      if (!isPlainPattern) return;
+
+      var used = getPatternKeys(pattern).map(String);
+      var unused = Object.keys(selectorInfo.objectMap).filter(function (key) {
+        return used.indexOf(key) === -1;
+      });
+      if (!used.length || !unused.length) return;
+
+      var kept = returned.properties.filter(function (prop) {
+        return used.indexOf(String(getKeySegment(prop.key, false).key)) !== -1;
+      });
+      var descriptor = {
+        node: node,
+        messageId: "queryResultFields",
+        data: {
+          hook: selectors.getCalleeName(node.callee),
+          unused: formatList(unused),
+          names: formatList(
+            kept.map(function (prop) {
+              return getKeySegment(prop.key, false).key;
+            })
+          ),
+        },
+      };
+
+      // A callback passed by name may be shared with other hooks, so only inline callbacks are rewritten. The
+      // inline callback is rewritten as written, before its destructured parameter was normalized into paths.
+      var inlineReturned = getInlineQueryResultReturn(node);
+      if (!inlineReturned) {
+        context.report(descriptor);
+        return;
+      }
+
+      var sourceCode = getSourceCodeSafely();
+      reportWithFix(
+        descriptor,
+        function (fixer) {
+          return fixer.replaceText(
+            inlineReturned,
+            "{ " +
+              inlineReturned.properties
+                .filter(function (prop) {
+                  return used.indexOf(String(getKeySegment(prop.key, false).key)) !== -1;
+                })
+                .map(function (prop) {
+                  return sourceCode.getText(prop);
+                })
+                .join(", ") +
+              " }"
+          );
+        },
+        used,
+        []
+      );
+    }
+
+    // Report `for (const { id } of useSelector(state => state.rows))`. The loop only needs each item's `id`, so a
+    // single destructured key is fixed into `state.rows.map(item => item.id)` compared with shallow equality.
+    function checkLoopDestructuring(node, pattern, callExpr) {
+      var selectorFn = detector.getSelectorFn(callExpr);
+      var paramName = getParamName(selectorFn);
+      var returned = paramName && getReturnedExpression(selectorFn);
+      if (!returned) return;
+
+      var selectorSource = detector.getSourceCodeFor(selectorFn);
+      var itemsText = selectorSource.getText(returned);
+      if (returned.type !== "Identifier" && returned.type !== "MemberExpression") {
+        itemsText = "(" + itemsText + ")";
+      }
+      var itemName = paramName === "item" ? "entry" : "item";
+      var entries = getPatternEntries(pattern);
+      var names = getPatternNames(pattern);
+      var descriptor = {
+        node: node,
+        messageId: "loopDestructuring",
+        data: {
+          names: formatList(names),
+          selector: describeSelector(callExpr),
+          paths: formatList(
+            entries.map(function (entry) {
+              return itemsText + ".map(" + itemName + " => " + formatPath(itemName, [entry.segment]) + ")";
+            })
+          ),
+        },
+      };
+
+      // Several keys would need separate arrays, losing which values belong to the same item
+      var keyProp = pattern.type === "ObjectPattern" ? pattern.properties[0] : null;
+      var isFixable =
+        entries.length === 1 &&
+        names.length === 1 &&
+        entries[0].value.type === "Identifier" &&
+        !(keyProp && getUnportableKeyReason(keyProp.key, keyProp.computed, paramName)) &&
+        !(keyProp && getUnportableKeyReason(keyProp.key, keyProp.computed, itemName)) &&
+        (selectorFn.body.type !== "BlockStatement" || selectorFn.body.body.length === 1);
+      var shallowFix = isFixable
+        ? buildShallowCallFix(
+            node,
+            callExpr,
+            getDestructuringInfo(callExpr, selectorFn, paramName, selectorFn.type === "ArrowFunctionExpression"),
+            itemsText + ".map(" + itemName + " => " + formatPath(itemName, [entries[0].segment]) + ")",
+            null
+          )
+        : null;
+
+      if (!shallowFix) {
+        context.report(descriptor);
+        return;
+      }
+
+      reportWithFix(
+        descriptor,
+        function (fixer) {
+          return shallowFix.fix(fixer).concat(fixer.replaceText(pattern, names[0]));
+        },
+        names,
+        getImportChanges(selectorFn),
+        shallowFix.equality
+      );
+    }
+
+    // Find the parameter a locally defined function destructures the argument at `index` into
+    function getDestructuredParam(callExpr, index) {
+      if (callExpr.callee.type !== "Identifier") return null;
+
+      var variable = detector.findVariable(callExpr, callExpr.callee.name);
+      var def = variable && variable.defs[0];
+      if (!def) return null;
+
+      var fn = def.type === "FunctionName" ? def.node : def.type === "Variable" ? def.node.init : null;
+      if (
+        !fn ||
+        (fn.type !== "FunctionDeclaration" &&
+          fn.type !== "FunctionExpression" &&
+          fn.type !== "ArrowFunctionExpression")
+      ) {
+        return null;
+      }
+
+      var param = fn.params[index];
+      if (param && param.type === "AssignmentPattern") {
+        param = param.left;
+      }
+      return param && (param.type === "ObjectPattern" || param.type === "ArrayPattern") ? param : null;
     }
 
-    // Extract the base path from a selector function (for backward compatibility)
-    function extractBasePath(selectorFn, paramName, sourceCode) {
-      return extractSelectorInfo(selectorFn, paramName, sourceCode).basePath;
+    // Report selector results passed straight into a local function that destructures them, like
+    // `renderRow(useSelector(state => state.row))` with `function renderRow({ id }) {}`. There is no fix: the
+    // function's other callers still pass whole objects.
+    function checkParameterDestructuring(node) {
+      node.arguments.forEach(function (arg, index) {
+        if (
+          arg.type !== "CallExpression" ||
+          shouldIgnore(arg) ||
+          detector.isMemoizedSelector(arg) ||
+          !detector.isSelectorFunction(arg) ||
+          isAllowedSelection(arg)
+        ) {
+          return;
+        }
+
+        var param = getDestructuredParam(node, index);
+        var selectorFn = param && detector.getSelectorFn(arg);
+        var paramName = selectorFn && getParamName(selectorFn);
+        if (!paramName) return;
+
+        if (!isAnalyzableSelector(selectorFn, paramName, getPatternKeys(param))) {
+          reportComplexSelector(arg, getPatternNames(param), arg);
+          return;
+        }
+
+        var fixes = processPattern(param, getDestructuringInfo(arg, selectorFn, paramName, true));
+        context.report({
+          node: arg,
+          messageId: "parameterDestructuring",
+          data: {
+            callee: node.callee.name,
+            names: formatList(getPatternNames(param)),
+            selector: describeSelector(arg),
+            paths: getFixesData(fixes).paths,
+          },
+        });
+      });
     }
 
-    // Helper to handle both arrow functions and regular functions
-    function isSelectorFunction(node) {
-      if (!node || !node.callee || node.callee.type !== "Identifier") {
-        return false;
+    // Detect if code is using ES6 style (const, arrow functions)
+    function detectCodeStyle(node) {
+      var isConst = node.parent && node.parent.kind === "const";
+
+      var selectorFn =
+        node.init && node.init.type === "CallExpression" && detector.getSelectorFn(node.init);
+      var isArrow = !!selectorFn && selectorFn.type === "ArrowFunctionExpression";
+
+      // If either const or arrow function is used, assume ES6 style
+      return isConst || isArrow;
+    }
+
+    // Pick the shallow-equality helper matching the library a selector hook comes from
+    function getShallowHelper(callExpr) {
+      var calleeName = selectors.getCalleeName(callExpr.callee);
+      var variable = detector.findVariable(callExpr, calleeName.split(".")[0]);
+      var def = variable && variable.defs[0];
+
+      if (def && def.type === "ImportBinding") {
+        var source = def.parent.source.value;
+        if (source === "react-redux") return SHALLOW_HELPERS.redux;
+        if (/^zustand(\/|$)/.test(source)) return SHALLOW_HELPERS.zustand;
       }
 
-      var functionName = node.callee.name;
+      // Local hooks: useAppSelector-style names are Redux, useBearStore-style names are Zustand
+      return /Selector/.test(calleeName) ? SHALLOW_HELPERS.redux : SHALLOW_HELPERS.zustand;
+    }
+
+    // Work out how to reference a shallow-equality helper: an existing import of it, or the import to add.
+    // Returns null in scripts, or when the helper's name is already taken by another binding.
+    function planHelperImport(helper, node) {
+      var sourceCode = getSourceCodeSafely();
+      var program = sourceCode.ast;
+      if (program.sourceType !== "module") return null;
 
-      // Check if the function name should be excluded
-      var isExcluded = excludeRegexps.some(function(regexp) {
-        return regexp.test(functionName);
+      var imports = program.body.filter(function (statement) {
+        return statement.type === "ImportDeclaration";
+      });
+      var sameSource = imports.filter(function (declaration) {
+        return declaration.source.value === helper.source && declaration.importKind !== "type";
       });
 
-      if (isExcluded) {
-        return false;
+      for (var i = 0; i < sameSource.length; i++) {
+        for (var j = 0; j < sameSource[i].specifiers.length; j++) {
+          var specifier = sameSource[i].specifiers[j];
+          if (
+            specifier.type === "ImportSpecifier" &&
+            specifier.importKind !== "type" &&
+            (specifier.imported.name || specifier.imported.value) === helper.name
+          ) {
+            return { localName: specifier.local.name };
+          }
+          if (specifier.type === "ImportNamespaceSpecifier") {
+            return { localName: specifier.local.name + "." + helper.name };
+          }
+        }
       }
 
-      // Check if the function name matches any of the included patterns
-      var isIncluded = includeRegexps.some(function(regexp) {
-        return regexp.test(functionName);
+      if (detector.findVariable(node, helper.name)) return null;
+
+      // Extend an existing import from the same module
+      var namedImport = sameSource.find(function (declaration) {
+        return declaration.specifiers.some(function (specifier) {
+          return specifier.type === "ImportSpecifier";
+        });
       });
+      if (namedImport) {
+        var namedSpecifiers = namedImport.specifiers.filter(function (specifier) {
+          return specifier.type === "ImportSpecifier";
+        });
+        return {
+          localName: helper.name,
+          insertAfter: namedSpecifiers[namedSpecifiers.length - 1],
+          text: ", " + helper.name,
+        };
+      }
+      var defaultImport = sameSource.find(function (declaration) {
+        return declaration.specifiers.length === 1;
+      });
+      if (defaultImport) {
+        return {
+          localName: helper.name,
+          insertAfter: defaultImport.specifiers[0],
+          text: ", { " + helper.name + " }",
+        };
+      }
 
-      if (!isIncluded) {
-        return false;
+      // Add a new import, matching the quotes and semicolons of the existing ones
+      var lastImport = imports[imports.length - 1];
+      var quote = lastImport ? lastImport.source.raw[0] : '"';
+      var semicolon = !lastImport || /;$/.test(sourceCode.getText(lastImport)) ? ";" : "";
+      var declarationText =
+        "import { " + helper.name + " } from " + quote + helper.source + quote + semicolon;
+
+      if (lastImport) {
+        return { localName: helper.name, insertAfter: lastImport, text: "\n" + declarationText };
       }
+      return { localName: helper.name, insertBefore: program.body[0], text: declarationText + "\n" };
+    }
 
-      if (!node.arguments || !node.arguments.length) {
-        return false;
+    // Build `{ a: state.user.a, b: state.user.b }` selecting exactly the top-level destructured keys,
+    // or null when the pattern or selector can't be expressed that way
+    function buildShallowObject(pattern, selectorFn, selectorSource, objectMap) {
+      var returned = getReturnedExpression(selectorFn);
+      if (!returned) return null;
+
+      // Statements before the return may define bindings the new selector would lose
+      if (selectorFn.body.type === "BlockStatement" && selectorFn.body.body.length !== 1) {
+        return null;
       }
 
-      var arg = node.arguments[0];
+      var returnedText = selectorSource.getText(returned);
+      if (returned.type !== "Identifier" && returned.type !== "MemberExpression") {
+        returnedText = "(" + returnedText + ")";
+      }
 
-      // Handle both arrow functions and function expressions
-      return (
-        arg.type === "ArrowFunctionExpression" ||
-        arg.type === "FunctionExpression"
+      var entries = [];
+      for (var i = 0; i < pattern.properties.length; i++) {
+        var prop = pattern.properties[i];
+        if (prop.type !== "Property" || prop.computed) return null;
+
+        var keyName = prop.key.type === "Identifier" ? prop.key.name : String(prop.key.value);
+        var keyText = prop.key.type === "Identifier" ? prop.key.name : prop.key.raw;
+        var valueText;
+
+        if (objectMap) {
+          // Keys missing from the object literal were undefined before and stay undefined
+          if (!objectMap[keyName]) continue;
+          valueText = objectMap[keyName];
+        } else if (prop.key.type === "Identifier") {
+          valueText = returnedText + "." + keyName;
+        } else {
+          valueText = returnedText + "[" + prop.key.raw + "]";
+        }
+
+        entries.push(keyText + ": " + valueText);
+      }
+
+      return "{ " + entries.join(", ") + " }";
+    }
+
+    // Build the fix for fixStrategy "shallow": rewrite the selector to return only the destructured keys and
+    // compare them with the library's shallow-equality helper, importing it if needed. Returns null when the
+    // call can't be rewritten that way, so the caller falls back to splitting.
+    function buildShallowFix(node, init, selectorFn, selectorInfo, selectorSource) {
+      // Array destructuring is split instead
+      if (node.id.type !== "ObjectPattern") return null;
+
+      var objectText = buildShallowObject(
+        node.id,
+        selectorFn,
+        selectorSource,
+        selectorInfo.objectMap
       );
+      if (!objectText) return null;
+
+      return buildShallowCallFix(node, init, selectorInfo, objectText, pickSelectedType(node.id));
     }
 
-    // Detect if code is using ES6 style (const, arrow functions)
-    function detectCodeStyle(node) {
-      var isConst = node.parent && node.parent.kind === "const";
+    // Build the fix replacing a selector hook call with one whose selector returns `resultText`, compared with the
+    // library's shallow-equality helper, and importing the helper if needed. Returns null when the call can't be
+    // rewritten that way.
+    function buildShallowCallFix(node, init, selectorInfo, resultText, narrowSelectedType) {
+      // An argument after the selector (e.g. an unrecognized equality function) leaves no room for shallowEqual
+      if (init.arguments.length > detector.getSelectorArgIndex(init) + 1) return null;
 
-      var isArrow =
-        node.init &&
-        node.init.type === "CallExpression" &&
-        node.init.arguments &&
-        node.init.arguments.length > 0 &&
-        node.init.arguments[0].type === "ArrowFunctionExpression";
+      var helper = getShallowHelper(init);
+      var helperImport = planHelperImport(helper, node);
+      if (!helperImport) return null;
 
-      // If either const or arrow function is used, assume ES6 style
-      return isConst || isArrow;
+      var paramName = selectorInfo.paramName;
+      var selectorText;
+      if (selectorInfo.useES6) {
+        var paramText = selectorInfo.paramTypeAnnotation
+          ? "(" + paramName + selectorInfo.paramTypeAnnotation + ")"
+          : selectorInfo.hasParentheses ? "(" + paramName + ")" : paramName;
+        selectorText = paramText + " => " + (resultText[0] === "{" ? "(" + resultText + ")" : resultText);
+      } else {
+        selectorText = "function(" + paramName + ") { return " + resultText + "; }";
+      }
+
+      var argumentText = helper.wrapsSelector
+        ? helperImport.localName + "(" + selectorText + ")"
+        : selectorText + ", " + helperImport.localName;
+
+      return {
+        equality: helperImport.localName,
+        fix: function (fixer) {
+          var fixes = [fixer.replaceText(init, buildSelectorCall(init, argumentText, narrowSelectedType))];
+          if (helperImport.insertAfter) {
+            fixes.push(fixer.insertTextAfter(helperImport.insertAfter, helperImport.text));
+          } else if (helperImport.insertBefore) {
+            fixes.push(fixer.insertTextBefore(helperImport.insertBefore, helperImport.text));
+          }
+          return fixes;
+        },
+      };
     }
 
     // Track selector variables to avoid duplicate reports
@@ -616,8 +1608,8 @@ module.exports = {
     var handledMemberExpressions = new Set();
 
     return {
-      // Handle ES6 destructuring
-      'VariableDeclaration > VariableDeclarator[id.type="ObjectPattern"]':
+      // Handle ES6 object and array destructuring
+      'VariableDeclaration > VariableDeclarator[id.type=/^(Object|Array)Pattern$/]':
         function (node) {
           // Skip if this node matches any ignore patterns
           if (shouldIgnore(node)) return;
@@ -626,99 +1618,48 @@ module.exports = {
           var init = node.init;
           var sourceCode = getSourceCodeSafely();
 
+          // Memoized selectors cache their result; see no-destructured-memoized-selector
+          if (init && init.type === "CallExpression" && detector.isMemoizedSelector(init)) return;
+
           if (
             init &&
             init.type === "CallExpression" &&
-            isSelectorFunction(init)
+            detector.isSelectorFunction(init) &&
+            !isAllowedSelection(init)
           ) {
-            var selectorFn = init.arguments[0];
+            var selectorFn = detector.getSelectorFn(init);
             var paramName = getParamName(selectorFn);
 
             if (!paramName) return;
 
-            // Extract TypeScript type annotation if present
-            var paramTypeAnnotation = getParamTypeAnnotation(
-              selectorFn,
-              sourceCode
-            );
-
-            // Check if the function has parentheses around its parameters
-            var hasParentheses = hasParenthesesAroundParams(
-              selectorFn,
-              sourceCode
-            );
-
-            // Special handling for object literals in selectors
-            var objectMap = null;
-            var basePath = "";
-            var fallback = null;
-            var originalParamFormat = null;
-
-            // Check if the selector returns an object literal
-            if (
-              selectorFn.type === "ArrowFunctionExpression" &&
-              (selectorFn.body.type === "ObjectExpression" ||
-                (selectorFn.body.type === "ParenthesizedExpression" &&
-                  selectorFn.body.expression &&
-                  selectorFn.body.expression.type === "ObjectExpression"))
-            ) {
-              // Extract the object expression
-              var objectExpr = selectorFn.body.type === "ObjectExpression"
-                ? selectorFn.body
-                : selectorFn.body.expression;
-              
-              // Create a map of property names to their full paths
-              objectMap = {};
-              objectExpr.properties.forEach(function(prop) {
-                if (prop.key && prop.value) {
-                  var keyName = prop.key.name || (prop.key.value !== undefined ? prop.key.value : "");
-                  objectMap[keyName] = sourceCode.getText(prop.value);
-                }
-              });
-
-              // For object literals, capture the original parameter format
-              var fnText = sourceCode.getText(selectorFn);
-              var arrowIndex = fnText.indexOf("=>");
-              if (arrowIndex !== -1) {
-                originalParamFormat = fnText.substring(0, arrowIndex).trim();
-              }
-            } else {
-              // For non-object literals, use the regular path extraction
-              var selectorInfo = extractSelectorInfo(
-                selectorFn,
-                paramName,
-                sourceCode
-              );
-              basePath = selectorInfo.basePath;
-              fallback = selectorInfo.fallback;
+            var unfixableReason = getUnfixableReason(id, paramName);
+            if (unfixableReason) {
+              reportUnfixableDestructuring(node, id, init, unfixableReason);
+              return;
             }
 
-            // Detect if code is using ES6 style
-            var useES6 = detectCodeStyle(node);
-
-            var selectorInfo = {
-              selectorName: init.callee.name,
-              paramName: paramName,
-              paramTypeAnnotation: paramTypeAnnotation,
-              hasParentheses: hasParentheses,
-              basePath: basePath,
-              fallback: fallback,
-              objectMap: objectMap,
-              useES6: useES6,
-              originalParamFormat: originalParamFormat,
-            };
+            var selectorSource = detector.getSourceCodeFor(selectorFn);
+            var selectorInfo = getDestructuringInfo(init, selectorFn, paramName, detectCodeStyle(node));
+            var paramTypeAnnotation = selectorInfo.paramTypeAnnotation;
+            var hasParentheses = selectorInfo.hasParentheses;
+            var basePath = selectorInfo.basePath;
+            var fallback = selectorInfo.fallback;
+            var useES6 = selectorInfo.useES6;
 
-            var allFixes = processObjectPattern(id, selectorInfo);
+            var allFixes = processPattern(id, selectorInfo);
             
             // Additionally, find all property accesses from the destructured variables and fix them too
             var scope = sourceCode.getScope ? sourceCode.getScope(node) : context.getScope();
             var additionalFixes = [];
+            var accessReason = null;
+            // Only bindings of object patterns are followed to the properties read from them
+            var destructuredProperties = id.type === "ObjectPattern" ? id.properties : [];
             
             // For each property in the destructuring pattern, find all its usages
-            id.properties.forEach(function(prop) {
+            destructuredProperties.forEach(function(prop) {
               if (prop.type === "Property" && prop.value.type === "Identifier") {
                 var varName = prop.value.name;
-                var keyName = prop.key.name || (prop.key.value !== undefined ? prop.key.value : "");
+                var keySegment = getKeySegment(prop.key, prop.computed);
                 
                 // Find all references to this variable in the scope
                 for (var currentScope = scope; currentScope; currentScope = currentScope.upper) {
@@ -733,18 +1674,16 @@ module.exports = {
                         var parent = ref.identifier.parent;
                         if (parent && parent.type === "MemberExpression" && parent.object === ref.identifier) {
                           // This is a property access like userSubmissions.educationLevelLabel
-                          var accessedProp = parent.property.name;
+                          var accessedSegment = getKeySegment(parent.property, parent.computed);
                           
                           // Check if this is in a variable declaration context
                           var grandParent = parent.parent;
                           if (grandParent && grandParent.type === "VariableDeclarator" && grandParent.init === parent) {
+                            accessReason =
+                              accessReason || getUnportableKeyReason(parent.property, parent.computed, paramName);
+
                             // Generate the direct selector path
-                            var fullPath;
-                            if (basePath) {
-                              fullPath = basePath + "." + keyName + "." + accessedProp;
-                            } else {
-                              fullPath = keyName + "." + accessedProp;
-                            }
+                            var fullPath = formatPath(paramName, basePath.concat([keySegment, accessedSegment]));
                             
                             var paramWithType = paramTypeAnnotation
                               ? hasParentheses
@@ -752,18 +1691,24 @@ module.exports = {
                                 : paramName + paramTypeAnnotation
                               : paramName;
                               
+                            var selectedType =
+                              hasOptionalSegment(basePath) || keySegment.key === undefined || accessedSegment.key === undefined
+                                ? null
+                                : indexSelectedType([keySegment.key, accessedSegment.key]);
                             var newSelector;
                             if (useES6) {
-                              newSelector = "const " + grandParent.id.name + " = " + selectorInfo.selectorName + 
-                                "(" + paramWithType + " => " + paramName + "." + fullPath + ");";
+                              newSelector = "const " + grandParent.id.name + " = " +
+                                buildSelectorCall(init, paramWithType + " => " + fullPath, selectedType) + ";";
                             } else {
-                              newSelector = "var " + grandParent.id.name + " = " + selectorInfo.selectorName + 
-                                "(function(" + paramName + ") { return " + paramName + "." + fullPath + "; });";
+                              newSelector = "var " + grandParent.id.name + " = " +
+                                buildSelectorCall(init, "function(" + paramName + ") { return " + fullPath + "; }", selectedType) + ";";
                             }
                             
                             additionalFixes.push({
                               node: grandParent.parent, // The VariableDeclaration
-                              text: newSelector
+                              text: newSelector,
+                              name: grandParent.id.name,
+                              path: fullPath
                             });
                             
                             // Mark this specific member expression as handled
@@ -778,60 +1723,209 @@ module.exports = {
               }
             });
 
+            if (accessReason) {
+              reportUnfixableDestructuring(node, id, init, accessReason);
+              return;
+            }
+
             // If we found additional property accesses, mark the variables as handled immediately
             if (additionalFixes.length > 0) {
-              id.properties.forEach(function(prop) {
+              destructuredProperties.forEach(function(prop) {
                 if (prop.type === "Property" && prop.value.type === "Identifier") {
                   coordinatedDestructuredVars[prop.value.name] = true;
                 }
               });
             }
 
-            context.report({
-              node: node,
-              message:
-                "Avoid destructuring from selectors. Use granular selectors that return specific values.",
-              fix: function (fixer) {
-                var fixes = [];
+            // Selectors are only split when their body is fully understood
+            if (!isAnalyzableSelector(selectorFn, paramName, getPatternKeys(id))) {
+              reportComplexSelector(node, allFixes.map(function (generated) {
+                return generated.name;
+              }), init);
+              return;
+            }
 
-                // If we found additional property accesses, replace them with direct selectors
-                // and eliminate the original destructuring entirely
-                if (additionalFixes.length > 0) {
-                  // Remove the original destructuring declaration
-                  fixes.push(fixer.remove(node.parent));
-                  
-                  // Replace all the property access nodes with direct selectors
-                  additionalFixes.forEach(function(additionalFix, index) {
-                    if (index === 0) {
-                      // Replace the first property access node
-                      fixes.push(fixer.replaceText(additionalFix.node, additionalFix.text));
-                    } else {
-                      // Replace (not insert) the subsequent property access nodes
-                      fixes.push(fixer.replaceText(additionalFix.node, additionalFix.text));
-                    }
-                  });
-                } else {
-                  // Fallback to the original behavior if no property accesses found
-                  if (allFixes.length > 0) {
-                    fixes.push(fixer.replaceText(node.parent, allFixes[0].text));
-
-                    for (var i = 1; i < allFixes.length; i++) {
-                      fixes.push(
-                        fixer.insertTextAfter(
-                          node.parent,
-                          "\n" + allFixes[i].text
-                        )
-                      );
-                    }
+            // Name the destructured bindings, but point at the paths the fix will actually select
+            var messageData = getFixesData(allFixes);
+            if (additionalFixes.length > 0) {
+              messageData.paths = getFixesData(additionalFixes).paths;
+            }
+            messageData.selector = describeSelector(init);
+
+            var changes;
+            if (additionalFixes.length > 0) {
+              changes = [FIX_CHANGES.coordinated];
+              var movesHook = additionalFixes.some(function (additionalFix) {
+                return movesHookScope(node.parent, additionalFix.node);
+              });
+              if (movesHook) {
+                changes.push(FIX_CHANGES.hookScope);
+              }
+            } else {
+              changes = getSplitChanges(allFixes, fallback);
+            }
+            changes.push.apply(changes, getImportChanges(selectorFn));
+
+            var fix = function (fixer) {
+              var fixes = [];
+
+              // If we found additional property accesses, replace them with direct selectors
+              // and eliminate the original destructuring entirely
+              if (additionalFixes.length > 0) {
+                // Remove the original destructuring declaration
+                fixes.push(fixer.remove(node.parent));
+                
+                // Replace all the property access nodes with direct selectors
+                additionalFixes.forEach(function(additionalFix, index) {
+                  if (index === 0) {
+                    // Replace the first property access node
+                    fixes.push(fixer.replaceText(additionalFix.node, additionalFix.text));
+                  } else {
+                    // Replace (not insert) the subsequent property access nodes
+                    fixes.push(fixer.replaceText(additionalFix.node, additionalFix.text));
+                  }
+                });
+              } else {
+                // Fallback to the original behavior if no property accesses found
+                if (allFixes.length > 0) {
+                  fixes.push(fixer.replaceText(node.parent, allFixes[0].text));
+
+                  for (var i = 1; i < allFixes.length; i++) {
+                    fixes.push(
+                      fixer.insertTextAfter(
+                        node.parent,
+                        "\n" + allFixes[i].text
+                      )
+                    );
                   }
                 }
+              }
 
-                return fixes;
-              },
+              return fixes;
+            };
+
+            // fixStrategy "shallow": one selector for the destructured keys, compared with shallow equality
+            var shallowFix =
+              fixStrategy === "shallow" && additionalFixes.length === 0
+                ? buildShallowFix(node, init, selectorFn, selectorInfo, selectorSource)
+                : null;
+
+            if (shallowFix) {
+              reportWithFix(
+                {
+                  node: node,
+                  messageId: "destructuring",
+                  data: messageData,
+                },
+                shallowFix.fix,
+                getPatternNames(id),
+                getImportChanges(selectorFn),
+                shallowFix.equality
+              );
+              return;
+            }
+
+            var fixedNames = (additionalFixes.length > 0 ? additionalFixes : allFixes).map(function (generated) {
+              return generated.name;
             });
+
+            reportWithFix(
+              {
+                node: node,
+                messageId: "destructuring",
+                data: messageData,
+              },
+              fix,
+              fixedNames,
+              changes
+            );
+          }
+        },
+
+      // Handle destructuring assignments: ({ a, b } = useSelector(...));
+      'ExpressionStatement > AssignmentExpression[operator="="][left.type=/^(Object|Array)Pattern$/]':
+        function (node) {
+          // Skip if this node matches any ignore patterns
+          if (shouldIgnore(node)) return;
+
+          var pattern = node.left;
+          var callExpr = node.right;
+          if (callExpr.type !== "CallExpression") return;
+
+          if (detector.isMemoizedSelector(callExpr)) return;
+          if (!detector.isSelectorFunction(callExpr) || isAllowedSelection(callExpr)) return;
+
+          var selectorFn = detector.getSelectorFn(callExpr);
+          var paramName = getParamName(selectorFn);
+          if (!paramName) return;
+
+          var unfixableReason = getUnfixableReason(pattern, paramName);
+          if (unfixableReason) {
+            reportUnfixableDestructuring(node, pattern, callExpr, unfixableReason);
+            return;
+          }
+
+          if (!isAnalyzableSelector(selectorFn, paramName, getPatternKeys(pattern))) {
+            reportComplexSelector(node, getPatternNames(pattern), callExpr);
+            return;
           }
+
+          var selectorInfo = getDestructuringInfo(
+            callExpr,
+            selectorFn,
+            paramName,
+            selectorFn.type === "ArrowFunctionExpression"
+          );
+          selectorInfo.isAssignment = true;
+
+          var allFixes = processPattern(pattern, selectorInfo);
+          var messageData = getFixesData(allFixes);
+          messageData.selector = describeSelector(callExpr);
+
+          var changes = getSplitChanges(allFixes, selectorInfo.fallback);
+          changes.push.apply(changes, getImportChanges(selectorFn));
+
+          reportWithFix(
+            {
+              node: node,
+              messageId: "destructuring",
+              data: messageData,
+            },
+            function (fixer) {
+              var statements = allFixes
+                .map(function (generated) {
+                  return generated.text;
+                })
+                .join("\n");
+              // A body without braces, like `if (x) ({ a, b } = ...);`, only runs its first statement conditionally
+              var statementList = /^(Program|BlockStatement|StaticBlock|SwitchCase)$/.test(node.parent.parent.type);
+              return fixer.replaceText(node.parent, statementList ? statements : "{ " + statements + " }");
+            },
+            allFixes.map(function (generated) {
+              return generated.name;
+            }),
+            changes
+          );
         },
 
+      // Handle destructuring the items of a selected array: for (const { id } of useSelector(...))
+      'ForOfStatement[left.type="VariableDeclaration"]': function (node) {
+        var pattern = node.left.declarations[0].id;
+        var callExpr = node.right;
+        if (pattern.type !== "ObjectPattern" && pattern.type !== "ArrayPattern") return;
+        if (callExpr.type !== "CallExpression" || shouldIgnore(node.right)) return;
+
+        if (
+          detector.isMemoizedSelector(callExpr) ||
+          !detector.isSelectorFunction(callExpr) ||
+          isAllowedSelection(callExpr)
+        ) {
+          return;
+        }
+
+        checkLoopDestructuring(node.left, pattern, callExpr);
+      },
+
       // Handle ES5 coordinated transformation (selector assignment + property accesses)
       "VariableDeclaration > VariableDeclarator[init.type='CallExpression']": function (node) {
         // Skip if this node matches any ignore patterns
@@ -847,11 +1941,12 @@ module.exports = {
         var varName = node.id.name;
         
         // Check if this is a selector function call
-        if (!isSelectorFunction(init)) return;
+        if (!detector.isSelectorFunction(init) || isAllowedSelection(init)) return;
         
-        var selectorFn = init.arguments[0];
+        var selectorFn = detector.getSelectorFn(init);
         var paramName = getParamName(selectorFn);
-        if (!paramName) return;
+
+        var selectorSource = detector.getSourceCodeFor(selectorFn);
         
         var sourceCode = getSourceCodeSafely();
         var scope = sourceCode.getScope ? sourceCode.getScope(node) : context.getScope();
@@ -877,7 +1972,8 @@ module.exports = {
                       memberExpr: parent,
                       declarator: grandParent,
                       varDeclaration: grandParent.parent,
-                      propName: parent.property.name,
+                      segment: getKeySegment(parent.property, parent.computed),
+                      isPortable: !getUnportableKeyReason(parent.property, parent.computed, paramName),
                       newVarName: grandParent.id.name
                     });
                   }
@@ -890,6 +1986,8 @@ module.exports = {
         
         // If we found property accesses, do coordinated transformation
         if (propertyAccesses.length > 0) {
+          if (!paramName) return;
+
           // Mark this variable as handled
           coordinatedDestructuredVars[varName] = true;
           
@@ -898,65 +1996,127 @@ module.exports = {
             handledMemberExpressions.add(access.memberExpr);
           });
           
+          var accessedKeys = propertyAccesses.map(function(access) {
+            return access.segment.key;
+          });
+          if (!isAnalyzableSelector(selectorFn, paramName, accessedKeys)) {
+            reportComplexSelector(node, propertyAccesses.map(function(access) {
+              return describeSegment(access.segment);
+            }), init);
+            return;
+          }
+
           // Extract selector info
-          var selectorInfo = extractSelectorInfo(selectorFn, paramName, sourceCode);
+          var selectorInfo = extractSelectorInfo(selectorFn, paramName, selectorSource);
           var basePath = selectorInfo.basePath;
           var fallback = selectorInfo.fallback;
+
+          // Keys of a returned object or tuple literal select its values directly
+          propertyAccesses.forEach(function(access) {
+            access.path = selectorInfo.objectMap
+              ? selectorInfo.objectMap[access.segment.key]
+              : formatPath(paramName, basePath.concat([access.segment]));
+          });
           
           // Extract TypeScript type annotation if present
-          var paramTypeAnnotation = getParamTypeAnnotation(selectorFn, sourceCode);
-          var hasParentheses = hasParenthesesAroundParams(selectorFn, sourceCode);
+          var paramTypeAnnotation = getParamTypeAnnotation(selectorFn, selectorSource);
+          var hasParentheses = hasParenthesesAroundParams(selectorFn, selectorSource);
           var useES6 = detectCodeStyle(node) || node.parent.kind === "const";
           
-          var selectorName = init.callee.name;
           var declarationType = useES6 ? "const" : "var";
           
-          // Report a single error for coordinated transformation
-          context.report({
-            node: node,
-            message: "Avoid destructuring from selectors. Use granular selectors that return specific values.",
-            fix: function(fixer) {
-              var fixes = [];
-              var replacements = [];
+          var fix = function(fixer) {
+            var fixes = [];
+            var replacements = [];
+            
+            // Create replacement for each property access
+            propertyAccesses.forEach(function(access) {
+              var selectorExpression = access.path;
+              var selectedType =
+                fallback || hasOptionalSegment(basePath) || access.segment.key === undefined
+                  ? null
+                  : indexSelectedType([access.segment.key]);
               
-              // Create replacement for each property access
-              propertyAccesses.forEach(function(access) {
-                var fullPath = basePath ? basePath + "." + access.propName : access.propName;
-                var selectorExpression = paramName + "." + fullPath;
-                
-                // Apply fallback logic from the original selector if present
-                if (fallback && fallback.operator && fallback.value) {
-                  selectorExpression = selectorExpression + " " + fallback.operator + " " + fallback.value;
-                }
-                
-                var newSelector;
-                if (useES6) {
-                  // Preserve type annotation and parentheses in ES6 style
-                  var paramWithType = paramTypeAnnotation
-                    ? hasParentheses
-                      ? "(" + paramName + paramTypeAnnotation + ")"
-                      : paramName + paramTypeAnnotation
-                    : paramName;
-                  
-                  newSelector = declarationType + " " + access.newVarName + " = " + selectorName + "(" + paramWithType + " => " + selectorExpression + ");";
-                } else {
-                  // ES5 style
-                  newSelector = declarationType + " " + access.newVarName + " = " + selectorName + "(function(" + paramName + ") { return " + selectorExpression + "; });";
-                }
-                
-                replacements.push(newSelector);
+              // Apply fallback logic from the original selector if present
+              if (fallback && fallback.operator && fallback.value) {
+                selectorExpression = selectorExpression + " " + fallback.operator + " " + fallback.value;
+              }
+              
+              var newSelector;
+              if (useES6) {
+                // Preserve type annotation and parentheses in ES6 style
+                var paramWithType = paramTypeAnnotation
+                  ? hasParentheses
+                    ? "(" + paramName + paramTypeAnnotation + ")"
+                    : paramName + paramTypeAnnotation
+                  : paramName;
                 
-                // Remove the original property access declaration entirely
-                fixes.push(fixer.remove(access.varDeclaration));
-              });
+                newSelector = declarationType + " " + access.newVarName + " = " + buildSelectorCall(init, paramWithType + " => " + selectorExpression, selectedType) + ";";
+              } else {
+                // ES5 style
+                newSelector = declarationType + " " + access.newVarName + " = " + buildSelectorCall(init, "function(" + paramName + ") { return " + selectorExpression + "; }", selectedType) + ";";
+              }
               
-              // Replace the original selector declaration with all the new granular selectors
-              var allReplacements = replacements.join("\n");
-              fixes.push(fixer.replaceText(node.parent, allReplacements));
+              replacements.push(newSelector);
               
-              return fixes;
-            }
+              // Remove the original property access declaration entirely
+              fixes.push(fixer.remove(access.varDeclaration));
+            });
+            
+            // Replace the original selector declaration with all the new granular selectors
+            var allReplacements = replacements.join("\n");
+            fixes.push(fixer.replaceText(node.parent, allReplacements));
+            
+            return fixes;
+          };
+
+          var changes = [FIX_CHANGES.coordinated];
+          if (fallback) {
+            changes.push(FIX_CHANGES.fallback);
+          }
+          var movesHook = propertyAccesses.some(function (access) {
+            return movesHookScope(node.parent, access.varDeclaration);
           });
+          if (movesHook) {
+            changes.push(FIX_CHANGES.hookScope);
+          }
+          changes.push.apply(changes, getImportChanges(selectorFn));
+
+          // Report a single error for coordinated transformation
+          var descriptor = {
+            node: node,
+            messageId: "coordinatedAccess",
+            data: {
+              names: formatList(propertyAccesses.map(function(access) {
+                return describeSegment(access.segment);
+              })),
+              variable: varName,
+              selector: describeSelector(init),
+              paths: formatList(propertyAccesses.map(function(access) {
+                return access.path;
+              })),
+            },
+          };
+
+          // Computed keys that would read something else inside the selector leave it without a fix
+          var isPortable = propertyAccesses.every(function(access) {
+            return access.isPortable;
+          });
+          if (!isPortable) {
+            context.report(descriptor);
+            return;
+          }
+
+          reportWithFix(
+            descriptor,
+            fix,
+            propertyAccesses.map(function(access) {
+              return access.newVarName;
+            }),
+            changes
+          );
+        } else {
+          reportObjectResult(node, variable);
         }
       },
 
@@ -977,7 +2137,8 @@ module.exports = {
           if (handledMemberExpressions.has(node.init)) return;
           
           var objName = node.init.object && node.init.object.name;
-          var propName = node.init.property && node.init.property.name;
+          var segment = getKeySegment(node.init.property, node.init.computed);
+          var propName = describeSegment(segment);
 
           if (!objName || !propName) return;
 
@@ -1007,35 +2168,40 @@ module.exports = {
           if (!def.node || !def.node.init) return;
 
           var callExpr = def.node.init;
-          if (callExpr.type !== "CallExpression") return;
+          if (callExpr.type !== "CallExpression" || selectsStableMember(callExpr)) return;
 
-          if (isSelectorFunction(callExpr)) {
-            var selectorFn = callExpr.arguments[0];
+          if (detector.isSelectorFunction(callExpr) && !isAllowedSelection(callExpr)) {
+            var selectorFn = detector.getSelectorFn(callExpr);
             var paramName = getParamName(selectorFn);
 
             if (!paramName) return;
 
+            if (!isAnalyzableSelector(selectorFn, paramName, [segment.key])) {
+              reportedVariables[key] = true;
+              reportComplexSelector(node, [propName], callExpr);
+              return;
+            }
+
             var sourceCode = getSourceCodeSafely();
+            var selectorSource = detector.getSourceCodeFor(selectorFn);
 
             // Extract TypeScript type annotation if present
             var paramTypeAnnotation = getParamTypeAnnotation(
               selectorFn,
-              sourceCode
+              selectorSource
             );
 
             // Check if the function has parentheses around its parameters
             var hasParentheses = hasParenthesesAroundParams(
               selectorFn,
-              sourceCode
+              selectorSource
             );
 
-            var selectorName = callExpr.callee.name;
-
             // Extract the base path using the improved function
             var selectorInfo = extractSelectorInfo(
               selectorFn,
               paramName,
-              sourceCode
+              selectorSource
             );
             var basePath = selectorInfo.basePath;
             var fallback = selectorInfo.fallback;
@@ -1043,7 +2209,13 @@ module.exports = {
             var useES6 =
               detectCodeStyle(def.node) || node.parent.kind === "const";
 
-            var fullPath = basePath ? basePath + "." + propName : propName;
+            var fullPath = selectorInfo.objectMap
+              ? selectorInfo.objectMap[segment.key]
+              : formatPath(paramName, basePath.concat([segment]));
+            var selectedType =
+              fallback || hasOptionalSegment(basePath) || segment.key === undefined
+                ? null
+                : indexSelectedType([segment.key]);
             var newSelector;
 
             // Check for default values
@@ -1060,7 +2232,7 @@ module.exports = {
                   : paramName + paramTypeAnnotation
                 : paramName;
 
-              var selectorExpression = paramName + "." + fullPath;
+              var selectorExpression = fullPath;
 
               // Apply fallback logic from the original selector if present
               if (fallback) {
@@ -1078,15 +2250,11 @@ module.exports = {
                 node.id.name +
                 defaultValue +
                 " = " +
-                selectorName +
-                "(" +
-                paramWithType +
-                " => " +
-                selectorExpression +
-                ");";
+                buildSelectorCall(callExpr, paramWithType + " => " + selectorExpression, selectedType) +
+                ";";
             } else {
               // Type annotations aren't valid in ES5
-              var selectorExpression = paramName + "." + fullPath;
+              var selectorExpression = fullPath;
 
               // Apply fallback logic from the original selector if present
               if (fallback) {
@@ -1103,31 +2271,57 @@ module.exports = {
                 node.id.name +
                 defaultValue +
                 " = " +
-                selectorName +
-                "(function(" +
-                paramName +
-                ") { return " +
-                selectorExpression +
-                "; });";
+                buildSelectorCall(
+                  callExpr,
+                  "function(" + paramName + ") { return " + selectorExpression + "; }",
+                  selectedType
+                ) +
+                ";";
             }
 
             // Mark this variable as reported
             reportedVariables[key] = true;
 
-            context.report({
+            var changes = [];
+            if (fallback) {
+              changes.push(FIX_CHANGES.fallback);
+            }
+            if (movesHookScope(def.node.parent, node.parent)) {
+              changes.push(FIX_CHANGES.hookScope);
+            }
+            changes.push.apply(changes, getImportChanges(selectorFn));
+
+            var descriptor = {
               node: node,
-              message:
-                "Avoid destructuring from selectors. Use granular selectors that return specific values.",
-              fix: function (fixer) {
+              messageId: "propertyAccess",
+              data: {
+                name: propName,
+                variable: objName,
+                selector: describeSelector(callExpr),
+                path: fullPath,
+              },
+            };
+
+            // A computed key that would read something else inside the selector leaves it without a fix
+            if (getUnportableKeyReason(node.init.property, node.init.computed, paramName)) {
+              context.report(descriptor);
+              return;
+            }
+
+            reportWithFix(
+              descriptor,
+              function (fixer) {
                 return fixer.replaceText(node.parent, newSelector);
               },
-            });
+              [node.id.name],
+              changes
+            );
           }
         }
       },
 
       // Handle ES6 destructuring from selector variables (e.g., const obj = useSelector(...); const { a } = obj;)
-      'VariableDeclaration > VariableDeclarator[id.type="ObjectPattern"][init.type="Identifier"]':
+      'VariableDeclaration > VariableDeclarator[id.type=/^(Object|Array)Pattern$/][init.type="Identifier"]':
         function (node) {
           // Skip if this node matches any ignore patterns
           if (shouldIgnore(node)) return;
@@ -1137,9 +2331,8 @@ module.exports = {
           var sourceCode = getSourceCodeSafely();
           
           // Skip if any of the destructured variables were handled by coordinated destructuring
-          var hasHandledVar = id.properties.some(function(prop) {
-            return prop.type === "Property" && prop.value.type === "Identifier" && 
-                   coordinatedDestructuredVars[prop.value.name];
+          var hasHandledVar = getPatternNames(id).some(function(name) {
+            return coordinatedDestructuredVars[name];
           });
           if (hasHandledVar) return;
           
@@ -1174,30 +2367,45 @@ module.exports = {
           var callExpr = def.node.init;
           if (callExpr.type !== "CallExpression") return;
 
+          if (detector.isMemoizedSelector(callExpr)) return;
+
           // Check if the original variable was assigned from a selector function
-          if (isSelectorFunction(callExpr)) {
-            var selectorFn = callExpr.arguments[0];
+          if (detector.isSelectorFunction(callExpr) && !isAllowedSelection(callExpr)) {
+            var selectorFn = detector.getSelectorFn(callExpr);
             var paramName = getParamName(selectorFn);
 
             if (!paramName) return;
 
+            var unfixableReason = getUnfixableReason(id, paramName);
+            if (unfixableReason) {
+              reportUnfixableDestructuring(node, id, callExpr, unfixableReason);
+              return;
+            }
+
+            if (!isAnalyzableSelector(selectorFn, paramName, getPatternKeys(id))) {
+              reportComplexSelector(node, getPatternNames(id), callExpr);
+              return;
+            }
+
+            var selectorSource = detector.getSourceCodeFor(selectorFn);
+
             // Extract TypeScript type annotation if present
             var paramTypeAnnotation = getParamTypeAnnotation(
               selectorFn,
-              sourceCode
+              selectorSource
             );
 
             // Check if the function has parentheses around its parameters
             var hasParentheses = hasParenthesesAroundParams(
               selectorFn,
-              sourceCode
+              selectorSource
             );
 
             // Extract selector information
             var selectorInfo = extractSelectorInfo(
               selectorFn,
               paramName,
-              sourceCode
+              selectorSource
             );
             var basePath = selectorInfo.basePath;
             var fallback = selectorInfo.fallback;
@@ -1206,32 +2414,53 @@ module.exports = {
             // For ES6 destructuring from variables, we need to add the variable name to the path
             // If the original variable was destructured from a selector, the variable name becomes part of the path
             var adjustedBasePath = basePath;
+            var resultPath = [];
+            // An element of array destructuring is reported with the array destructuring itself
+            if (def.node.id && def.node.id.type === "ArrayPattern") return;
             if (def.node.id && def.node.id.type === "ObjectPattern") {
-              // The original assignment was destructuring, so we need to add the variable name to the path
-              adjustedBasePath = basePath ? basePath + "." + objName : objName;
+              // The original assignment was destructuring, so we need to add the variable's key to the path
+              var sourceProp = def.node.id.properties.find(function (prop) {
+                return prop.type === "Property" && prop.value.type === "Identifier" && prop.value.name === objName;
+              });
+              if (!sourceProp) return;
+              var objSegment = getKeySegment(sourceProp.key, sourceProp.computed);
+              adjustedBasePath = basePath.concat([objSegment]);
+              resultPath = [objSegment.key];
             }
 
             // Detect if code is using ES6 style
             var useES6 = detectCodeStyle(def.node) || node.parent.kind === "const";
 
             var fullSelectorInfo = {
-              selectorName: callExpr.callee.name,
+              callExpr: callExpr,
               paramName: paramName,
               paramTypeAnnotation: paramTypeAnnotation,
               hasParentheses: hasParentheses,
               basePath: adjustedBasePath,
+              resultPath: resultPath,
               fallback: fallback,
               objectMap: objectMap,
               useES6: useES6,
             };
 
-            var allFixes = processObjectPattern(id, fullSelectorInfo);
+            var allFixes = processPattern(id, fullSelectorInfo);
+            var messageData = getFixesData(allFixes);
+            messageData.variable = objName;
+            messageData.selector = describeSelector(callExpr);
 
-            context.report({
-              node: node,
-              message:
-                "Avoid destructuring from selectors. Use granular selectors that return specific values.",
-              fix: function (fixer) {
+            var changes = getSplitChanges(allFixes, fallback);
+            if (movesHookScope(def.node.parent, node.parent)) {
+              changes.push(FIX_CHANGES.hookScope);
+            }
+            changes.push.apply(changes, getImportChanges(selectorFn));
+
+            reportWithFix(
+              {
+                node: node,
+                messageId: "destructuringVariable",
+                data: messageData,
+              },
+              function (fixer) {
                 var fixes = [];
 
                 if (allFixes.length > 0) {
@@ -1249,10 +2478,48 @@ module.exports = {
 
                 return fixes;
               },
-            });
+              allFixes.map(function (generated) {
+                return generated.name;
+              }),
+              changes
+            );
           }
         },
 
+      // Selector results passed into destructured parameters are reported too.
+      // RTK Query hooks compare what `selectFromResult` returns shallowly, so passing on the whole query result
+      // or the whole `data`, or fields the component doesn't read, re-renders the component needlessly
+      CallExpression: function (node) {
+        checkParameterDestructuring(node);
+
+        var selectorFn = detector.getQueryResultSelector(node);
+        if (!selectorFn || shouldIgnore(node)) return;
+
+        var selected = describeWholeQueryResult(selectorFn);
+        if (!selected) {
+          var parent = node.parent;
+          if (parent.type === "VariableDeclarator" && parent.init === node && parent.id.type === "ObjectPattern") {
+            checkQueryResultFields(node, parent.id, selectorFn);
+          } else if (
+            parent.type === "AssignmentExpression" &&
+            parent.right === node &&
+            parent.left.type === "ObjectPattern"
+          ) {
+            checkQueryResultFields(node, parent.left, selectorFn);
+          }
+          return;
+        }
+
+        context.report({
+          node: node,
+          messageId: "queryResult",
+          data: {
+            hook: selectors.getCalleeName(node.callee),
+            selected: selected,
+          },
+        });
+      },
+
       // Reset the reported variables at the start of each file
       Program: function () {
         reportedVariables = {};
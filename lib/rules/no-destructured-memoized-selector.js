@@ -0,0 +1,107 @@
+/**
+ * @fileoverview Rule to report destructuring the result of a memoized selector
+ */
+"use strict";
+
+var selectors = require("../utils/selectors");
+var presets = require("../utils/presets");
+
+module.exports = {
+  meta: {
+    type: "suggestion",
+    docs: {
+      description: "Report destructuring the result of a reselect or Redux Toolkit memoized selector",
+      category: "Best Practices",
+      recommended: false,
+    },
+    schema: [
+      {
+        type: "object",
+        properties: {
+          preset: presets.schema,
+          include: selectors.schema.include,
+          exclude: selectors.schema.exclude,
+          importSources: selectors.schema.importSources,
+          resolveImports: selectors.schema.resolveImports,
+          equalityFunctions: selectors.schema.equalityFunctions,
+          wrapperHooks: selectors.schema.wrapperHooks,
+        },
+        additionalProperties: false,
+      },
+    ],
+    messages: {
+      memoizedSelector:
+        "`{{selector}}` uses a memoized selector, so destructuring {{names}} only re-renders when its inputs change; consider selecting each value with its own selector.",
+    },
+  },
+  create: function (context) {
+    var options = presets.applyPreset(context.options[0] || {});
+    var detector = selectors.createSelectorDetector(context, options);
+    var sourceCode = selectors.getSourceCode(context);
+
+    // Get the local binding names of a destructuring pattern
+    function getPatternNames(pattern) {
+      var names = [];
+      var elements = pattern.type === "ArrayPattern" ? pattern.elements : pattern.properties;
+      elements.forEach(function (element) {
+        if (!element) return;
+        var value = element.type === "Property" ? element.value : element;
+        if (value.type === "RestElement" || value.type === "ExperimentalRestProperty") {
+          value = value.argument;
+        }
+        if (value.type === "AssignmentPattern") {
+          value = value.left;
+        }
+        if (value.type === "Identifier") {
+          names.push(value.name);
+        } else if (value.type === "MemberExpression") {
+          names.push(sourceCode.getText(value));
+        } else if (value.type === "ObjectPattern" || value.type === "ArrayPattern") {
+          names.push.apply(names, getPatternNames(value));
+        }
+      });
+      return names;
+    }
+
+    // Get the selector hook call a destructured value comes from: the call itself, or the call a local
+    // variable was initialized with (`const summary = useSelector(selectSummary); const { total } = summary;`)
+    function getSelectorCall(node) {
+      if (node && node.type === "Identifier") {
+        var variable = detector.findVariable(node, node.name);
+        var def = variable && variable.defs.length === 1 ? variable.defs[0] : null;
+        node = def && def.type === "Variable" && def.node.id.type === "Identifier" ? def.node.init : null;
+      }
+      return node && node.type === "CallExpression" ? node : null;
+    }
+
+    // Report destructuring the result of a memoized selector. Its result is cached, so there is no fix: splitting
+    // it would trade one memoized selector for several plain ones.
+    function check(node, pattern, value) {
+      var callExpr = getSelectorCall(value);
+      if (!callExpr || !detector.isMemoizedSelector(callExpr) || detector.hasEqualityGuard(callExpr)) return;
+
+      context.report({
+        node: node,
+        messageId: "memoizedSelector",
+        data: {
+          names: getPatternNames(pattern)
+            .map(function (name) {
+              return "`" + name + "`";
+            })
+            .join(", "),
+          selector: selectors.describeSelectorCall(context, callExpr),
+        },
+      });
+    }
+
+    return {
+      "VariableDeclarator[id.type=/^(Object|Array)Pattern$/]": function (node) {
+        check(node, node.id, node.init);
+      },
+
+      'AssignmentExpression[operator="="][left.type=/^(Object|Array)Pattern$/]': function (node) {
+        check(node, node.left, node.right);
+      },
+    };
+  },
+};
@@ -0,0 +1,146 @@
+/**
+ * @fileoverview Rule to disallow selectors that return a new reference on every call
+ */
+"use strict";
+
+var selectors = require("../utils/selectors");
+var presets = require("../utils/presets");
+
+// Array methods that always return a new array
+var ARRAY_METHODS = [
+  "filter",
+  "map",
+  "flatMap",
+  "flat",
+  "slice",
+  "concat",
+  "toSorted",
+  "toReversed",
+  "toSpliced",
+  "with",
+];
+
+// Static methods that always return a new object or array, by the object they are called on
+var STATIC_METHODS = {
+  Object: ["keys", "values", "entries", "fromEntries"],
+  Array: ["from", "of"],
+};
+
+module.exports = {
+  meta: {
+    type: "problem",
+    docs: {
+      description: "Disallow selectors that return a new object, array or function on every call",
+      category: "Best Practices",
+      recommended: true,
+    },
+    schema: [
+      {
+        type: "object",
+        properties: {
+          preset: presets.schema,
+          include: selectors.schema.include,
+          exclude: selectors.schema.exclude,
+          importSources: selectors.schema.importSources,
+          resolveImports: selectors.schema.resolveImports,
+          equalityFunctions: selectors.schema.equalityFunctions,
+          wrapperHooks: selectors.schema.wrapperHooks,
+        },
+        additionalProperties: false,
+      },
+    ],
+    messages: {
+      unstableResult:
+        "`{{selector}}` returns {{result}}, a new reference on every call, so the component re-renders on every store update; memoize the selector with `createSelector` or pass an equality function.",
+    },
+  },
+  create: function (context) {
+    var options = presets.applyPreset(context.options[0] || {});
+    var detector = selectors.createSelectorDetector(context, options);
+
+    function getText(node) {
+      return selectors.getSourceCode(context).getText(node);
+    }
+
+    // Describe the new reference an expression creates, or return null when it may return a stable value
+    function describeUnstable(node) {
+      if (!node) return null;
+
+      switch (node.type) {
+        case "ArrayExpression":
+          return "an array literal";
+        case "ObjectExpression":
+          return "an object literal";
+        case "ArrowFunctionExpression":
+        case "FunctionExpression":
+          return "a function";
+        case "NewExpression":
+          return "a new `" + getText(node.callee) + "`";
+        case "ConditionalExpression":
+          return describeUnstable(node.consequent) || describeUnstable(node.alternate);
+        case "LogicalExpression":
+          // `state.items || []` returns a new array whenever `state.items` is missing
+          return describeUnstable(node.right);
+        case "ChainExpression":
+        case "TSAsExpression":
+        case "TSNonNullExpression":
+        case "TSSatisfiesExpression":
+          return describeUnstable(node.expression);
+        case "CallExpression":
+          return describeUnstableCall(node);
+        default:
+          return null;
+      }
+    }
+
+    function describeUnstableCall(node) {
+      var callee = node.callee;
+      if (callee.type !== "MemberExpression" || callee.computed) return null;
+
+      var methodName = callee.property.name;
+      var objectName = callee.object.type === "Identifier" ? callee.object.name : null;
+
+      // Object.assign({}, ...) copies into a new object; Object.assign(target, ...) returns the target
+      if (objectName === "Object" && methodName === "assign") {
+        return node.arguments.length && node.arguments[0].type === "ObjectExpression"
+          ? "a new value from `Object.assign()`"
+          : null;
+      }
+
+      if (objectName && STATIC_METHODS[objectName]) {
+        return STATIC_METHODS[objectName].indexOf(methodName) !== -1
+          ? "a new value from `" + objectName + "." + methodName + "()`"
+          : null;
+      }
+
+      if (ARRAY_METHODS.indexOf(methodName) !== -1) {
+        return "a new array from `." + methodName + "()`";
+      }
+      return null;
+    }
+
+    return {
+      CallExpression: function (node) {
+        if (!detector.isSelectorFunction(node) || detector.hasEqualityGuard(node)) return;
+
+        var selectorFn = detector.getSelectorFn(node);
+        var returned = selectors.getReturnedExpressions(selectorFn);
+
+        for (var i = 0; i < returned.length; i++) {
+          var result = describeUnstable(returned[i]);
+          if (result) {
+            context.report({
+              node: node,
+              messageId: "unstableResult",
+              data: {
+                selector: selectors.describeSelectorCall(context, node),
+                result: result,
+              },
+            });
+            return;
+          }
+        }
+      },
+    };
+  },
+};
@@ -0,0 +1,131 @@
+/**
+ * @fileoverview Rule to disallow selectors that subscribe to the whole store or a whole root slice
+ */
+"use strict";
+
+var selectors = require("../utils/selectors");
+var presets = require("../utils/presets");
+
+module.exports = {
+  meta: {
+    type: "problem",
+    docs: {
+      description: "Disallow selectors that select the entire store state or too shallow a path",
+      category: "Best Practices",
+      recommended: true,
+    },
+    schema: [
+      {
+        type: "object",
+        properties: {
+          preset: presets.schema,
+          include: selectors.schema.include,
+          exclude: selectors.schema.exclude,
+          importSources: selectors.schema.importSources,
+          resolveImports: selectors.schema.resolveImports,
+          wrapperHooks: selectors.schema.wrapperHooks,
+          minPathDepth: {
+            type: "integer",
+            minimum: 1,
+            description: "Minimum number of path segments a selector must select, e.g. 2 to report `state => state.entities`",
+            default: 1,
+          },
+        },
+        additionalProperties: false,
+      },
+    ],
+    messages: {
+      wholeState:
+        "`{{selector}}` selects the entire store state, so the component re-renders on every store update; select only the values it uses.",
+      noSelector:
+        "`{{selector}}` is called without a selector and subscribes to the entire store; pass a selector that selects only the values the component uses.",
+      shallowPath:
+        "`{{selector}}` selects `{{path}}`, a whole slice of the store; select values at least {{minPathDepth}} levels deep.",
+    },
+  },
+  create: function (context) {
+    var options = presets.applyPreset(context.options[0] || {});
+    var minPathDepth = options.minPathDepth || 1;
+    var detector = selectors.createSelectorDetector(context, options);
+
+    // Count the segments of a path read from the selector's parameter: 0 for `state`, 2 for `state.user.name`.
+    // Returns -1 for anything else.
+    function getPathDepth(node, paramName) {
+      var depth = 0;
+      while (node) {
+        if (
+          node.type === "ChainExpression" ||
+          node.type === "TSAsExpression" ||
+          node.type === "TSNonNullExpression" ||
+          node.type === "TSSatisfiesExpression"
+        ) {
+          node = node.expression;
+        } else if (node.type === "MemberExpression") {
+          depth++;
+          node = node.object;
+        } else {
+          break;
+        }
+      }
+      return node && node.type === "Identifier" && node.name === paramName ? depth : -1;
+    }
+
+    // Get the path a returned value selects, looking through `||`/`??` fallbacks
+    function getSelectedPath(node) {
+      while (node && node.type === "LogicalExpression") {
+        node = node.left;
+      }
+      return node;
+    }
+
+    return {
+      CallExpression: function (node) {
+        if (!detector.isSelectorFunction(node)) return;
+
+        var selectorText = selectors.describeSelectorCall(context, node);
+
+        if (node.arguments.length <= detector.getSelectorArgIndex(node)) {
+          context.report({
+            node: node,
+            messageId: "noSelector",
+            data: { selector: selectorText },
+          });
+          return;
+        }
+
+        var selectorFn = detector.getSelectorFn(node);
+        if (!selectorFn.params.length || selectorFn.params[0].type !== "Identifier") return;
+
+        var paramName = selectorFn.params[0].name;
+        var returned = selectors.getReturnedExpressions(selectorFn);
+
+        for (var i = 0; i < returned.length; i++) {
+          var path = getSelectedPath(returned[i]);
+          var depth = getPathDepth(path, paramName);
+
+          if (depth === 0) {
+            context.report({
+              node: node,
+              messageId: "wholeState",
+              data: { selector: selectorText },
+            });
+            return;
+          }
+
+          if (depth > 0 && depth < minPathDepth) {
+            context.report({
+              node: node,
+              messageId: "shallowPath",
+              data: {
+                selector: selectorText,
+                path: detector.getSourceCodeFor(selectorFn).getText(path),
+                minPathDepth: minPathDepth,
+              },
+            });
+            return;
+          }
+        }
+      },
+    };
+  },
+};
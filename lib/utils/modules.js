@@ -0,0 +1,528 @@
+/**
+ * @fileoverview Resolve and parse imported modules so rules can look at their exports
+ */
+"use strict";
+
+var fs = require("fs");
+var path = require("path");
+
+var EXTENSIONS = [".ts", ".tsx", ".js", ".jsx", ".mjs", ".cjs"];
+
+// Follow re-exports at most this many modules deep
+var MAX_EXPORT_DEPTH = 10;
+
+// Parsed modules keyed by absolute path; entries are reused while the file's mtime is unchanged
+var moduleCache = new Map();
+
+// tsconfig/jsconfig compiler options keyed by config path; entries are reused while the mtimes of the config and
+// the configs it extends are unchanged
+var configCache = new Map();
+
+function isFile(filePath) {
+  try {
+    return fs.statSync(filePath).isFile();
+  } catch (e) {
+    return false;
+  }
+}
+
+function getMtime(filePath) {
+  try {
+    return fs.statSync(filePath).mtimeMs;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Try a path as written, with each known extension, and as a directory index
+function resolveFile(basePath) {
+  if (isFile(basePath)) return basePath;
+
+  var candidates = [];
+  EXTENSIONS.forEach(function (ext) {
+    candidates.push(basePath + ext);
+  });
+  // TypeScript allows importing "./foo.js" when the source is foo.ts
+  var jsExt = /\.(m|c)?jsx?$/.exec(basePath);
+  if (jsExt) {
+    var withoutExt = basePath.slice(0, -jsExt[0].length);
+    candidates.push(withoutExt + ".ts", withoutExt + ".tsx");
+  }
+  EXTENSIONS.forEach(function (ext) {
+    candidates.push(path.join(basePath, "index" + ext));
+  });
+
+  for (var i = 0; i < candidates.length; i++) {
+    if (isFile(candidates[i])) return candidates[i];
+  }
+  return null;
+}
+
+// Strip comments and trailing commas from tsconfig-style JSON without touching string contents
+function parseJsonWithComments(text) {
+  var result = "";
+  var inString = false;
+
+  for (var i = 0; i < text.length; i++) {
+    var char = text[i];
+    var next = text[i + 1];
+
+    if (inString) {
+      result += char;
+      if (char === "\\") {
+        result += next;
+        i++;
+      } else if (char === '"') {
+        inString = false;
+      }
+    } else if (char === '"') {
+      inString = true;
+      result += char;
+    } else if (char === "/" && next === "/") {
+      while (i < text.length && text[i] !== "\n") i++;
+      result += "\n";
+    } else if (char === "/" && next === "*") {
+      i = text.indexOf("*/", i + 2);
+      if (i === -1) break;
+      i++;
+    } else {
+      result += char;
+    }
+  }
+
+  return JSON.parse(result.replace(/,(\s*[}\]])/g, "$1"));
+}
+
+// Read compilerOptions.baseUrl and paths, following relative "extends"
+function readCompilerOptions(configPath, seen) {
+  seen = seen || [];
+  if (seen.indexOf(configPath) !== -1) return {};
+  seen.push(configPath);
+
+  var config;
+  try {
+    config = parseJsonWithComments(fs.readFileSync(configPath, "utf8"));
+  } catch (e) {
+    return {};
+  }
+
+  var configDir = path.dirname(configPath);
+  var options = {};
+
+  if (typeof config.extends === "string" && /^\.{1,2}\//.test(config.extends)) {
+    var basePath = path.resolve(configDir, config.extends);
+    if (!/\.json$/.test(basePath)) basePath += ".json";
+    options = readCompilerOptions(basePath, seen);
+  }
+
+  var compilerOptions = config.compilerOptions || {};
+  if (compilerOptions.baseUrl) {
+    options.baseUrl = path.resolve(configDir, compilerOptions.baseUrl);
+  }
+  if (compilerOptions.paths) {
+    options.paths = compilerOptions.paths;
+    // Without a baseUrl, paths are relative to the config that declares them
+    options.pathsBase = configDir;
+  }
+  if (options.paths && options.baseUrl) {
+    options.pathsBase = options.baseUrl;
+  }
+
+  return options;
+}
+
+// Read a config's compiler options, reusing the cached result while none of the files it was read from changed
+function getConfigOptions(configPath) {
+  var cached = configCache.get(configPath);
+  var isFresh = cached && cached.files.every(function (file) {
+    return getMtime(file.path) === file.mtime;
+  });
+  if (isFresh) return cached.options;
+
+  var seen = [];
+  var options = readCompilerOptions(configPath, seen);
+  configCache.set(configPath, {
+    options: options,
+    files: seen.map(function (filePath) {
+      return { path: filePath, mtime: getMtime(filePath) };
+    }),
+  });
+  return options;
+}
+
+// Find the nearest tsconfig.json or jsconfig.json above a directory
+function getCompilerOptions(dir) {
+  var tsconfig = path.join(dir, "tsconfig.json");
+  var jsconfig = path.join(dir, "jsconfig.json");
+
+  if (isFile(tsconfig)) return getConfigOptions(tsconfig);
+  if (isFile(jsconfig)) return getConfigOptions(jsconfig);
+
+  var parent = path.dirname(dir);
+  return parent !== dir ? getCompilerOptions(parent) : {};
+}
+
+// Resolve an import specifier against tsconfig "paths" patterns like "@features/*"
+function resolvePathAlias(source, options) {
+  var patterns = Object.keys(options.paths);
+
+  for (var i = 0; i < patterns.length; i++) {
+    var pattern = patterns[i];
+    var starIndex = pattern.indexOf("*");
+    var wildcard = null;
+
+    if (starIndex === -1) {
+      if (source !== pattern) continue;
+      wildcard = "";
+    } else {
+      var prefix = pattern.slice(0, starIndex);
+      var suffix = pattern.slice(starIndex + 1);
+      if (
+        source.length < prefix.length + suffix.length ||
+        source.indexOf(prefix) !== 0 ||
+        source.slice(source.length - suffix.length) !== suffix
+      ) {
+        continue;
+      }
+      wildcard = source.slice(prefix.length, source.length - suffix.length);
+    }
+
+    var targets = options.paths[pattern] || [];
+    for (var j = 0; j < targets.length; j++) {
+      var resolved = resolveFile(
+        path.resolve(options.pathsBase, targets[j].replace("*", wildcard))
+      );
+      if (resolved) return resolved;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Resolve an import specifier to a file on disk. Handles relative paths, tsconfig/jsconfig
+ * `paths` aliases and `baseUrl`; package imports resolve to null.
+ * @param {string} fromFile Absolute path of the importing file
+ * @param {string} source The import specifier
+ * @returns {string|null} Absolute path of the imported file
+ */
+function resolveModulePath(fromFile, source) {
+  var fromDir = path.dirname(fromFile);
+
+  if (/^\.{1,2}(\/|$)/.test(source)) {
+    return resolveFile(path.resolve(fromDir, source));
+  }
+
+  var options = getCompilerOptions(fromDir);
+  if (options.paths) {
+    var aliased = resolvePathAlias(source, options);
+    if (aliased) return aliased;
+  }
+  if (options.baseUrl) {
+    return resolveFile(path.resolve(options.baseUrl, source));
+  }
+
+  return null;
+}
+
+// Collect the top-level bindings and exports of a module
+function collectModuleInfo(filePath, ast, text) {
+  var locals = {};
+  var imports = {};
+  var exportsMap = {};
+  var starExports = [];
+
+  function addLocalDeclaration(declaration) {
+    if (declaration.type === "FunctionDeclaration" && declaration.id) {
+      locals[declaration.id.name] = declaration;
+    } else if (declaration.type === "VariableDeclaration") {
+      declaration.declarations.forEach(function (declarator) {
+        if (declarator.id.type === "Identifier" && declarator.init) {
+          locals[declarator.id.name] = declarator.init;
+        }
+      });
+    }
+  }
+
+  ast.body.forEach(function (statement) {
+    if (statement.type === "ImportDeclaration") {
+      statement.specifiers.forEach(function (specifier) {
+        imports[specifier.local.name] = {
+          source: statement.source.value,
+          imported:
+            specifier.type === "ImportDefaultSpecifier"
+              ? "default"
+              : specifier.type === "ImportNamespaceSpecifier"
+              ? "*"
+              : specifier.imported.name || specifier.imported.value,
+        };
+      });
+    } else if (statement.type === "ExportNamedDeclaration") {
+      if (statement.declaration) {
+        addLocalDeclaration(statement.declaration);
+        if (statement.declaration.type === "FunctionDeclaration" && statement.declaration.id) {
+          exportsMap[statement.declaration.id.name] = { local: statement.declaration.id.name };
+        } else if (statement.declaration.type === "VariableDeclaration") {
+          statement.declaration.declarations.forEach(function (declarator) {
+            if (declarator.id.type === "Identifier") {
+              exportsMap[declarator.id.name] = { local: declarator.id.name };
+            }
+          });
+        }
+      }
+      statement.specifiers.forEach(function (specifier) {
+        var exportedName = specifier.exported.name || specifier.exported.value;
+        var localName = specifier.local.name || specifier.local.value;
+        exportsMap[exportedName] = statement.source
+          ? { source: statement.source.value, imported: localName }
+          : { local: localName };
+      });
+    } else if (statement.type === "ExportDefaultDeclaration") {
+      var declaration = statement.declaration;
+      if (declaration.type === "Identifier") {
+        exportsMap.default = { local: declaration.name };
+      } else {
+        if (declaration.id) addLocalDeclaration(declaration);
+        exportsMap.default = { node: declaration };
+      }
+    } else if (statement.type === "ExportAllDeclaration") {
+      if (statement.exported) {
+        exportsMap[statement.exported.name] = { source: statement.source.value, imported: "*" };
+      } else {
+        starExports.push(statement.source.value);
+      }
+    } else {
+      addLocalDeclaration(statement);
+    }
+  });
+
+  return {
+    filePath: filePath,
+    ast: ast,
+    sourceCode: {
+      text: text,
+      getText: function (node) {
+        return text.slice(node.range[0], node.range[1]);
+      },
+    },
+    locals: locals,
+    imports: imports,
+    exports: exportsMap,
+    starExports: starExports,
+  };
+}
+
+/**
+ * Parse a module, reusing the cached result while the file is unchanged.
+ * @param {string} filePath Absolute path of the module
+ * @param {function(string, string): Object} parse Parses source text into an ESTree Program
+ * @returns {Object|null} Module info, or null when the file can't be read or parsed
+ */
+function getModuleInfo(filePath, parse) {
+  var mtime;
+  try {
+    mtime = fs.statSync(filePath).mtimeMs;
+  } catch (e) {
+    return null;
+  }
+
+  var cached = moduleCache.get(filePath);
+  if (cached && cached.mtime === mtime) return cached.info;
+
+  var info = null;
+  try {
+    var text = fs.readFileSync(filePath, "utf8");
+    info = collectModuleInfo(filePath, parse(text, filePath), text);
+  } catch (e) {
+    info = null;
+  }
+
+  moduleCache.set(filePath, { mtime: mtime, info: info });
+  return info;
+}
+
+// Resolve a top-level binding of a module to its value node, following imports
+function resolveLocal(moduleInfo, name, parse, depth) {
+  if (moduleInfo.locals[name]) {
+    return { node: moduleInfo.locals[name], module: moduleInfo, name: name };
+  }
+  var imported = moduleInfo.imports[name];
+  if (imported && imported.imported !== "*") {
+    return findExportFrom(moduleInfo.filePath, imported.source, imported.imported, parse, depth + 1);
+  }
+  return null;
+}
+
+function findExport(moduleInfo, exportName, parse, depth) {
+  if (depth > MAX_EXPORT_DEPTH) return null;
+
+  var entry = moduleInfo.exports[exportName];
+  if (entry) {
+    if (entry.node) return { node: entry.node, module: moduleInfo, name: exportName };
+    if (entry.local) return resolveLocal(moduleInfo, entry.local, parse, depth);
+    if (entry.source && entry.imported !== "*") {
+      return findExportFrom(moduleInfo.filePath, entry.source, entry.imported, parse, depth + 1);
+    }
+    return null;
+  }
+
+  // export * from "./other" never re-exports the default export
+  if (exportName === "default") return null;
+
+  for (var i = 0; i < moduleInfo.starExports.length; i++) {
+    var found = findExportFrom(moduleInfo.filePath, moduleInfo.starExports[i], exportName, parse, depth + 1);
+    if (found) return found;
+  }
+  return null;
+}
+
+/**
+ * Find the value node behind a named export of an imported module, following re-exports
+ * and barrel files.
+ * @param {string} fromFile Absolute path of the importing file
+ * @param {string} source The import specifier
+ * @param {string} exportName The imported name, or "default"
+ * @param {function(string, string): Object} parse Parses source text into an ESTree Program
+ * @param {number} [depth] Current re-export depth
+ * @returns {{node: Object, module: Object, name: string}|null} The exported value node and its module
+ */
+function findExportFrom(fromFile, source, exportName, parse, depth) {
+  depth = depth || 0;
+  if (depth > MAX_EXPORT_DEPTH) return null;
+
+  var filePath = resolveModulePath(fromFile, source);
+  if (!filePath) return null;
+
+  var moduleInfo = getModuleInfo(filePath, parse);
+  if (!moduleInfo) return null;
+
+  return findExport(moduleInfo, exportName, parse, depth);
+}
+
+// Trace where a module export comes from, for traceExport; returns the hops after the module itself,
+// an empty list when the module declares the export, or null when it doesn't export the name
+function traceModuleExport(moduleInfo, exportName, parse, depth) {
+  var entry = moduleInfo.exports[exportName];
+  if (entry) {
+    if (entry.local) {
+      var imported = moduleInfo.imports[entry.local];
+      if (imported && imported.imported !== "*") {
+        return traceExport(moduleInfo.filePath, imported.source, imported.imported, parse, depth + 1);
+      }
+      return [];
+    }
+    if (entry.source && entry.imported !== "*") {
+      return traceExport(moduleInfo.filePath, entry.source, entry.imported, parse, depth + 1);
+    }
+    return [];
+  }
+
+  // export * from "./other" never re-exports the default export
+  if (exportName === "default") return null;
+
+  // Prefer a module on disk that declares the name; `export * from "some-package"` can't be checked
+  var packageChain = null;
+  for (var i = 0; i < moduleInfo.starExports.length; i++) {
+    var chain = traceExport(moduleInfo.filePath, moduleInfo.starExports[i], exportName, parse, depth + 1);
+    if (chain && chain[chain.length - 1].filePath) return chain;
+    packageChain = packageChain || chain;
+  }
+  return packageChain;
+}
+
+/**
+ * List the modules an import passes through on its way to the module that declares it, following
+ * re-exports and barrel files. The chain ends at the declaring module or at a package import.
+ * @param {string} fromFile Absolute path of the importing file
+ * @param {string} source The import specifier
+ * @param {string} exportName The imported name, or "default"
+ * @param {function(string, string): Object} parse Parses source text into an ESTree Program
+ * @param {number} [depth] Current re-export depth
+ * @returns {Array<{source: string, filePath: string|null, name: string}>|null} Each module the import
+ *   passes through with the name it is exported under there, or null when the export can't be found
+ */
+function traceExport(fromFile, source, exportName, parse, depth) {
+  depth = depth || 0;
+  if (depth > MAX_EXPORT_DEPTH) return null;
+
+  var hop = { source: source, filePath: resolveModulePath(fromFile, source), name: exportName };
+  if (!hop.filePath) return [hop];
+
+  var moduleInfo = getModuleInfo(hop.filePath, parse);
+  if (!moduleInfo) return [hop];
+
+  var rest = traceModuleExport(moduleInfo, exportName, parse, depth);
+  return rest ? [hop].concat(rest) : null;
+}
+
+// Load an optional peer dependency, or return null when it isn't installed
+function loadOptional(name) {
+  try {
+    return require(name);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Create a parse function for imported modules that uses the same parser and options as the
+ * file being linted. Type-aware parser options are dropped since only syntax is needed.
+ * @param {Object} context The rule context
+ * @returns {function(string, string): Object} Parses source text into an ESTree Program
+ */
+function createModuleParser(context) {
+  var languageOptions = context.languageOptions || {};
+  var parser = languageOptions.parser;
+  var parserOptions = Object.assign(
+    {},
+    languageOptions.parserOptions || context.parserOptions || {}
+  );
+
+  if (!parser || typeof parser === "string") {
+    var parserPath = context.parserPath || parser;
+    try {
+      parser = require(parserPath);
+    } catch (e) {
+      // Parsers registered by name rather than path; imported modules fall back to espree
+      parser = loadOptional("espree");
+    }
+  }
+
+  delete parserOptions.project;
+  delete parserOptions.projectService;
+  delete parserOptions.programs;
+
+  var ecmaVersion = languageOptions.ecmaVersion || parserOptions.ecmaVersion;
+  if (ecmaVersion !== "latest" && !(ecmaVersion >= 2015)) {
+    // Modules need at least ES2015
+    ecmaVersion = 2018;
+  }
+
+  return function (text, filePath) {
+    if (!parser) {
+      // getModuleInfo treats modules that fail to parse as unresolved
+      throw new Error("No parser available for " + filePath);
+    }
+    var options = Object.assign({}, parserOptions, {
+      ecmaVersion: ecmaVersion,
+      sourceType: "module",
+      range: true,
+      loc: true,
+      tokens: true,
+      comment: true,
+      filePath: filePath,
+    });
+    if (typeof parser.parseForESLint === "function") {
+      return parser.parseForESLint(text, options).ast;
+    }
+    return parser.parse(text, options);
+  };
+}
+
+module.exports = {
+  resolveModulePath: resolveModulePath,
+  getModuleInfo: getModuleInfo,
+  findExportFrom: findExportFrom,
+  traceExport: traceExport,
+  createModuleParser: createModuleParser,
+};
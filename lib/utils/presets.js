@@ -0,0 +1,74 @@
+/**
+ * @fileoverview Library presets for the `preset` option: selector hook names, selector positions,
+ * equality helpers and stable-member conventions, merged with the user's own options
+ */
+"use strict";
+
+var PRESETS = {
+  // react-redux's useSelector and typed hooks like useAppSelector, which also covers Redux Toolkit: its memoized
+  // selectors, slice selectors and RTK Query hooks are recognized with any preset
+  redux: {
+    include: ["^use\\w*Selector$"],
+    equalityFunctions: ["shallowEqual"],
+    wrapperHooks: [],
+  },
+  // Store hooks like useBearStore, and zustand's useStore(store, selector) and
+  // useStoreWithEqualityFn(store, selector, equalityFn)
+  zustand: {
+    include: [
+      { name: "^useStore$", selectorArg: 1 },
+      { name: "^useStoreWithEqualityFn$", selectorArg: 1 },
+      "^use\\w*Store$",
+    ],
+    equalityFunctions: ["shallow"],
+    wrapperHooks: ["useShallow"],
+    // Actions kept in an `actions` object never change, so destructuring `state => state.actions` is fine
+    stableMembers: ["actions"],
+  },
+  // @xstate/react's useSelector(actorRef, selector, compare) and @xstate/store's useSelector(store, selector)
+  xstate: {
+    include: [{ name: "^useSelector$", selectorArg: 1 }],
+    equalityFunctions: ["shallowEqual"],
+    wrapperHooks: [],
+  },
+};
+
+// Options a preset contributes to; the user's entries come first so their include entries take precedence.
+// `stableMembers` is only set by presets: members a selector can return whole, like zustand's `actions`.
+var LIST_OPTIONS = ["include", "exclude", "equalityFunctions", "wrapperHooks", "ignorePatterns", "stableMembers"];
+
+var presetNames = Object.keys(PRESETS);
+
+var schema = {
+  anyOf: [
+    { type: "string", enum: presetNames },
+    {
+      type: "array",
+      items: { type: "string", enum: presetNames },
+      uniqueItems: true,
+    },
+  ],
+  description: "Library presets to detect selector hooks with: redux, zustand or xstate",
+};
+
+// Merge the presets named by `options.preset` into the rule options
+function applyPreset(options) {
+  var names = [].concat(options.preset || []);
+  if (!names.length) return options;
+
+  var merged = Object.assign({}, options);
+  LIST_OPTIONS.forEach(function (key) {
+    var values = (options[key] || []).slice();
+    names.forEach(function (name) {
+      values.push.apply(values, PRESETS[name][key] || []);
+    });
+    merged[key] = values;
+  });
+  return merged;
+}
+
+module.exports = {
+  schema: schema,
+  presetNames: presetNames,
+  applyPreset: applyPreset,
+};
@@ -0,0 +1,1099 @@
+/**
+ * @fileoverview Detect selector hook calls and resolve their selector functions, shared by the plugin's rules
+ */
+"use strict";
+
+var path = require("path");
+var modules = require("./modules");
+
+var DEFAULT_INCLUDE = ["use.*Selector.*"];
+
+// Equality functions and selector wrappers recognized as equality guards
+var DEFAULT_EQUALITY_FUNCTIONS = ["shallowEqual", "shallow", "isEqual"];
+var DEFAULT_WRAPPER_HOOKS = ["useShallow"];
+
+// Zustand functions whose result is a store hook, e.g. `const useCart = create(...)`
+var STORE_CREATORS = ["create", "createWithEqualityFn"];
+
+// Selector creators from reselect and Redux Toolkit whose selectors cache their result
+var SELECTOR_LIBRARY = /^(reselect|@reduxjs\/toolkit)(\/|$)/;
+var MEMOIZED_SELECTOR_CREATORS = ["createSelector", "createStructuredSelector", "createDraftSafeSelector"];
+// Functions that build custom selector creators, e.g. `createSelectorCreator(lruMemoize, isEqual)`
+var SELECTOR_CREATOR_FACTORIES = ["createSelectorCreator", "createDraftSafeSelectorCreator"];
+
+// RTK Query hooks, matched against the hook's own name: `useGetPostsQuery`, `useGetPostsQueryState`,
+// `useLazyGetPostsQuery` and `api.endpoints.getPosts.useQuery`. Lazy query hooks take their options first.
+var QUERY_HOOK = /^use\w*Query(State)?$/;
+var LAZY_QUERY_HOOK = /^useLazy\w*Query$/;
+
+// Follow local selector creators (`const createAppSelector = createSelector.withTypes<RootState>()`) this deep
+var MAX_CREATOR_DEPTH = 3;
+
+// Imported bindings are only looked up as store hooks when they follow the hook naming convention
+var HOOK_NAME = /^use[A-Z0-9_]/;
+
+// Selector text longer than this is truncated in report messages
+var MAX_SELECTOR_TEXT_LENGTH = 80;
+
+// Parameter names for a selector whose parameter was destructured, in order of preference
+var STATE_PARAM_NAMES = ["state", "s", "rootState"];
+
+var IDENTIFIER_NAME = /^[A-Za-z_$][\w$]*$/;
+
+// Get the accessor that reads a key: `.user`, or `["my-slice"]` for keys that aren't identifiers
+function formatAccessor(key) {
+  return IDENTIFIER_NAME.test(key) ? "." + key : "[" + JSON.stringify(key) + "]";
+}
+
+// Option schemas for selector detection, shared by every rule that looks for selector hooks.
+// List options have no schema default: ESLint would fill it in, and presets need to tell whether the user set them.
+var schema = {
+  include: {
+    type: "array",
+    items: {
+      anyOf: [
+        {
+          type: "string"
+        },
+        {
+          type: "object",
+          properties: {
+            name: {
+              type: "string"
+            },
+            selectorArg: {
+              type: "integer",
+              minimum: 0
+            }
+          },
+          required: ["name"],
+          additionalProperties: false
+        }
+      ]
+    },
+    description: "Patterns to include for selector function detection, or { name, selectorArg } for hooks whose selector isn't the first argument"
+  },
+  exclude: {
+    type: "array",
+    items: {
+      type: "string"
+    },
+    description: "Patterns to exclude from selector function detection"
+  },
+  importSources: {
+    type: "object",
+    additionalProperties: {
+      type: "array",
+      items: {
+        type: "string"
+      }
+    },
+    description: "Modules and the selector hooks they export, e.g. { \"react-redux\": [\"useSelector\"] }; replaces include patterns"
+  },
+  resolveImports: {
+    type: "boolean",
+    description: "Parse imported modules to resolve selectors passed by name from another file",
+    default: false
+  },
+  equalityFunctions: {
+    type: "array",
+    items: {
+      type: "string"
+    },
+    description: "Equality functions that make destructuring safe, e.g. useSelector(selector, shallowEqual)"
+  },
+  wrapperHooks: {
+    type: "array",
+    items: {
+      type: "string"
+    },
+    description: "Hooks that wrap a selector with an equality check, e.g. useStore(useShallow(selector))"
+  },
+};
+
+function getSourceCode(context) {
+  if (typeof context.getSourceCode === "function") {
+    return context.getSourceCode();
+  }
+  return {
+    getText: function (node) {
+      return context.getSource(node);
+    },
+  };
+}
+
+function getFilename(context) {
+  return typeof context.getFilename === "function" ? context.getFilename() : context.filename;
+}
+
+function getCwd(context) {
+  if (context.cwd) return context.cwd;
+  return typeof context.getCwd === "function" ? context.getCwd() : process.cwd();
+}
+
+// Describe a selector call for report messages, collapsing whitespace in multi-line selectors
+function describeSelectorCall(context, callExpr) {
+  var text = getSourceCode(context).getText(callExpr).replace(/\s+/g, " ");
+  if (text.length > MAX_SELECTOR_TEXT_LENGTH) {
+    text = text.slice(0, MAX_SELECTOR_TEXT_LENGTH - 3) + "...";
+  }
+  return text;
+}
+
+function isFunctionNode(node) {
+  return (
+    !!node &&
+    (node.type === "ArrowFunctionExpression" ||
+      node.type === "FunctionExpression")
+  );
+}
+
+// Collect the values a function returns: its expression body, or the return statements of its block body
+function getReturnedExpressions(selectorFn) {
+  if (selectorFn.body.type !== "BlockStatement") {
+    return [selectorFn.body];
+  }
+
+  var returned = [];
+  function visit(statement) {
+    if (!statement) return;
+
+    switch (statement.type) {
+      case "ReturnStatement":
+        returned.push(statement.argument);
+        break;
+      case "BlockStatement":
+        statement.body.forEach(visit);
+        break;
+      case "IfStatement":
+        visit(statement.consequent);
+        visit(statement.alternate);
+        break;
+      case "SwitchStatement":
+        statement.cases.forEach(function (switchCase) {
+          switchCase.consequent.forEach(visit);
+        });
+        break;
+      case "TryStatement":
+        visit(statement.block);
+        visit(statement.handler && statement.handler.body);
+        visit(statement.finalizer);
+        break;
+      default:
+        break;
+    }
+  }
+  visit(selectorFn.body);
+  return returned;
+}
+
+// Get the dotted name of a callee like useSelector or store.useSelector, or null for other callees
+function getCalleeName(callee) {
+  if (!callee) return null;
+
+  if (callee.type === "Identifier") {
+    return callee.name;
+  }
+
+  if (
+    callee.type === "MemberExpression" &&
+    !callee.computed &&
+    callee.property.type === "Identifier"
+  ) {
+    var objectName = getCalleeName(callee.object);
+    return objectName ? objectName + "." + callee.property.name : null;
+  }
+
+  return null;
+}
+
+// Names that include/exclude patterns are matched against: the full dotted name and, for
+// member expressions, just the property name (so `use.*Selector.*` matches `hooks.useAppSelector`)
+function getCalleeMatchNames(callee) {
+  var fullName = getCalleeName(callee);
+  if (!fullName) return [];
+
+  if (callee.type === "MemberExpression") {
+    return [fullName, callee.property.name];
+  }
+  return [fullName];
+}
+
+function matchesAny(regexps, names) {
+  return regexps.some(function(regexp) {
+    return names.some(function(name) {
+      return regexp.test(name);
+    });
+  });
+}
+
+// Whether a callee is one of the given names, matched like include patterns but exactly:
+// against the full dotted name or the property name
+function isNamedCallee(callee, names) {
+  return getCalleeMatchNames(callee).some(function(name) {
+    return names.indexOf(name) !== -1;
+  });
+}
+
+// Get the name an import specifier imports: "default", "*" or the exported name
+function getImportedName(specifier) {
+  if (specifier.type === "ImportDefaultSpecifier") return "default";
+  if (specifier.type === "ImportNamespaceSpecifier") return "*";
+  return specifier.imported.name || specifier.imported.value;
+}
+
+function isStoreCreatorImport(source, importedName) {
+  return /^zustand(\/|$)/.test(source) && STORE_CREATORS.indexOf(importedName) !== -1;
+}
+
+// Get the local name of the function a store is created with: `create` in `create(...)` and in the
+// curried TypeScript form `create<State>()(...)`
+function getStoreCreatorName(init) {
+  if (!init || init.type !== "CallExpression") return null;
+
+  var callee = init.callee;
+  if (callee.type === "CallExpression" && !callee.arguments.length) {
+    callee = callee.callee;
+  }
+  return callee.type === "Identifier" ? callee.name : null;
+}
+
+// Build a detached identity selector, `s => s` or `function(s) { return s; }`, standing in for the selector of a
+// store hook called without one. Nodes carry ranges into `text` so they can be read like parsed source.
+function createImplicitSelector(useArrow) {
+  if (useArrow) {
+    return {
+      text: "s => s",
+      node: {
+        type: "ArrowFunctionExpression",
+        params: [{ type: "Identifier", name: "s", range: [0, 1] }],
+        body: { type: "Identifier", name: "s", range: [5, 6] },
+        expression: true,
+        range: [0, 6],
+      },
+    };
+  }
+
+  return {
+    text: "function(s) { return s; }",
+    node: {
+      type: "FunctionExpression",
+      id: null,
+      params: [{ type: "Identifier", name: "s", range: [9, 10] }],
+      body: {
+        type: "BlockStatement",
+        body: [
+          {
+            type: "ReturnStatement",
+            argument: { type: "Identifier", name: "s", range: [21, 22] },
+            range: [14, 23],
+          },
+        ],
+        range: [12, 25],
+      },
+      range: [0, 25],
+    },
+  };
+}
+
+// Create the selector detection helpers for a rule, configured by the options described in `schema`
+function createSelectorDetector(context, options) {
+  var includePatterns = options.include || DEFAULT_INCLUDE;
+  var excludePatterns = options.exclude || [];
+  var importSources = options.importSources || null;
+  var resolveImports = options.resolveImports === true;
+  var equalityFunctions = options.equalityFunctions || DEFAULT_EQUALITY_FUNCTIONS;
+  var wrapperHooks = options.wrapperHooks || DEFAULT_WRAPPER_HOOKS;
+
+  // Compile the patterns into RegExp objects; object entries also say which argument is the selector
+  var includeEntries = includePatterns.map(function(pattern) {
+    return typeof pattern === "string"
+      ? { regexp: new RegExp(pattern), selectorArg: 0 }
+      : { regexp: new RegExp(pattern.name), selectorArg: pattern.selectorArg || 0 };
+  });
+
+  var includeRegexps = includeEntries.map(function(entry) {
+    return entry.regexp;
+  });
+
+  var excludeRegexps = excludePatterns.map(function(pattern) {
+    return new RegExp(pattern);
+  });
+
+  // Selector functions found in imported modules, mapped to the module's source text and the local import name
+  var importedSelectors = new WeakMap();
+  var moduleParser = null;
+
+  // Whether each hook binding was created by a Zustand store creator, by scope variable
+  var storeHooks = new WeakMap();
+
+  // importSources entries with their modules resolved, and whether each imported name is a listed hook
+  var importSourceEntries = null;
+  var importedHooks = {};
+
+  // Identity selectors standing in for store hooks called without a selector, by call
+  var implicitSelectors = new WeakMap();
+  // Root-state selectors generated for Redux Toolkit slice selectors, by member expression
+  var sliceSelectors = new WeakMap();
+  // Source text of implicit and generated selectors, by selector node
+  var generatedSelectorSources = new WeakMap();
+  // Selectors rewritten to read paths from their parameter, by original selector
+  var normalizedSelectors = new WeakMap();
+
+  // Whether a call is to a selector hook matched by the include/exclude patterns, with or without a selector
+  function isSelectorHookCall(node) {
+    if (!node || !node.callee) {
+      return false;
+    }
+
+    var functionNames = getCalleeMatchNames(node.callee);
+    if (!functionNames.length) {
+      return false;
+    }
+
+    // Check if the function name should be excluded
+    var isExcluded = matchesAny(excludeRegexps, functionNames);
+
+    if (isExcluded) {
+      return false;
+    }
+
+    // With importSources, only bindings imported from the listed modules count
+    if (importSources) {
+      return isImportedHook(node.callee) || isStoreHook(node.callee);
+    }
+
+    // Check if the function name matches any of the included patterns
+    return matchesAny(includeRegexps, functionNames) || isStoreHook(node.callee);
+  }
+
+  // Resolve the importSources keys: relative paths from the working directory, aliases from the linted file
+  function getImportSourceEntries() {
+    if (!importSourceEntries) {
+      importSourceEntries = Object.keys(importSources).map(function (specifier) {
+        var fromFile = /^\.{1,2}(\/|$)/.test(specifier)
+          ? path.join(getCwd(context), "package.json")
+          : getFilename(context);
+        return {
+          specifier: specifier,
+          filePath: modules.resolveModulePath(fromFile, specifier),
+          names: importSources[specifier],
+        };
+      });
+    }
+    return importSourceEntries;
+  }
+
+  // Whether a module an import passes through is one of importSources, exporting a listed hook
+  function isListedExport(hop) {
+    return getImportSourceEntries().some(function (entry) {
+      if (entry.names.indexOf(hop.name) === -1) return false;
+      return hop.filePath ? hop.filePath === entry.filePath : hop.source === entry.specifier;
+    });
+  }
+
+  // Whether a callee is a hook imported from one of importSources, directly, under an alias, through a
+  // namespace import or re-exported through other modules
+  function isImportedHook(callee) {
+    var binding = callee;
+    var name = null;
+
+    if (callee.type === "MemberExpression" && !callee.computed && callee.object.type === "Identifier") {
+      binding = callee.object;
+      name = callee.property.name;
+    } else if (callee.type !== "Identifier") {
+      return false;
+    }
+
+    var variable = findVariable(binding, binding.name);
+    var def = variable && variable.defs.length === 1 ? variable.defs[0] : null;
+    if (!def || def.type !== "ImportBinding") return false;
+
+    // A member callee only names an import through a namespace: `import * as ReactRedux from "react-redux"`
+    var isNamespace = def.node.type === "ImportNamespaceSpecifier";
+    if (name ? !isNamespace : isNamespace) return false;
+
+    var source = def.parent.source.value;
+    var importedName = name || getImportedName(def.node);
+    var key = source + "\u0000" + importedName;
+
+    if (!Object.prototype.hasOwnProperty.call(importedHooks, key)) {
+      var chain = modules.traceExport(getFilename(context), source, importedName, getModuleParser());
+      importedHooks[key] = !!chain && chain.some(isListedExport);
+    }
+    return importedHooks[key];
+  }
+
+  function getModuleParser() {
+    if (!moduleParser) {
+      moduleParser = modules.createModuleParser(context);
+    }
+    return moduleParser;
+  }
+
+  // Whether a callee is a Zustand store hook created in this file or in an imported module
+  function isStoreHook(callee) {
+    if (callee.type !== "Identifier") return false;
+
+    var variable = findVariable(callee, callee.name);
+    if (!variable || variable.defs.length !== 1) return false;
+
+    if (!storeHooks.has(variable)) {
+      storeHooks.set(variable, isStoreHookDefinition(variable.defs[0]));
+    }
+    return storeHooks.get(variable);
+  }
+
+  function isStoreHookDefinition(def) {
+    // const useCart = create(...)
+    if (def.type === "Variable") {
+      var creatorName = getStoreCreatorName(def.node.init);
+      var creator = creatorName && findVariable(def.node, creatorName);
+      var creatorDef = creator && creator.defs[0];
+
+      return (
+        !!creatorDef &&
+        creatorDef.type === "ImportBinding" &&
+        isStoreCreatorImport(creatorDef.parent.source.value, getImportedName(creatorDef.node))
+      );
+    }
+
+    // import { useCart } from "./stores/cart", where the module exports `create(...)`; only when cross-file
+    // resolution is enabled
+    if (def.type === "ImportBinding" && resolveImports && HOOK_NAME.test(def.name.name)) {
+      var found = modules.findExportFrom(
+        getFilename(context),
+        def.parent.source.value,
+        getImportedName(def.node),
+        getModuleParser()
+      );
+      if (!found) return false;
+
+      var exportedCreatorName = getStoreCreatorName(found.node);
+      var imported = exportedCreatorName && found.module.imports[exportedCreatorName];
+      return !!imported && isStoreCreatorImport(imported.source, imported.imported);
+    }
+
+    return false;
+  }
+
+  // Helper to handle both arrow functions and regular functions
+  function isSelectorFunction(node) {
+    if (!isSelectorHookCall(node)) {
+      return false;
+    }
+
+    // Without arguments the hook returns the whole store. Only the hook itself counts, so methods such as
+    // `useBearStore.getState()` matched through their object's name are left alone.
+    if (node.arguments.length <= getSelectorArgIndex(node)) {
+      if (importSources) return true;
+
+      var hookName = getCalleeName(node.callee).split(".").pop();
+      return matchesAny(includeRegexps, [hookName]) || isStoreHook(node.callee);
+    }
+
+    // Handle both arrow functions and function expressions, inline or referenced by name
+    return !!getSelectorFn(node);
+  }
+
+  // Find the variable a name refers to from a node, walking up the scope chain
+  function findVariable(node, name) {
+    var sourceCode = getSourceCode(context);
+    var scope = sourceCode.getScope ? sourceCode.getScope(node) : context.getScope();
+
+    for (var currentScope = scope; currentScope; currentScope = currentScope.upper) {
+      var variable = currentScope.variables.find(function(v) {
+        return v.name === name;
+      });
+      if (variable) return variable;
+    }
+    return null;
+  }
+
+  // Resolve a selector passed by name, e.g. useSelector(selectUser), to its local function definition
+  function resolveSelectorReference(identifier) {
+    var variable = findVariable(identifier, identifier.name);
+
+    if (!variable || variable.defs.length !== 1) return null;
+
+    var def = variable.defs[0];
+
+    // function selectUser(state) { ... }
+    if (def.type === "FunctionName" && def.node.type === "FunctionDeclaration") {
+      return def.node;
+    }
+
+    // import { selectUser } from "./selectors"; only when cross-file resolution is enabled
+    if (def.type === "ImportBinding" && resolveImports) {
+      return resolveImportedSelector(def);
+    }
+
+    // const selectUser = (state) => state.user; only when the binding is never reassigned
+    if (def.type === "Variable" && isFunctionNode(def.node.init)) {
+      var isReassigned = variable.references.some(function(ref) {
+        return ref.isWrite() && !ref.init;
+      });
+      return isReassigned ? null : def.node.init;
+    }
+
+    return null;
+  }
+
+  // Get the name a callee is imported as from reselect or Redux Toolkit: `createSelector` for
+  // `createSelector(...)` and `RTK.createSelector(...)`; null for anything else
+  function getSelectorLibraryName(callee) {
+    var identifier = callee;
+    if (callee.type === "MemberExpression" && !callee.computed && callee.object.type === "Identifier") {
+      identifier = callee.object;
+    }
+    if (identifier.type !== "Identifier") return null;
+
+    var variable = findVariable(identifier, identifier.name);
+    if (!variable || variable.defs.length !== 1 || variable.defs[0].type !== "ImportBinding") return null;
+
+    var def = variable.defs[0];
+    if (!SELECTOR_LIBRARY.test(def.parent.source.value)) return null;
+
+    var importedName = getImportedName(def.node);
+    if (identifier === callee) return importedName;
+    return importedName === "*" ? callee.property.name : null;
+  }
+
+  // Whether a callee creates memoized selectors: a creator imported from reselect or Redux Toolkit, one built by
+  // a factory (`createSelectorCreator(lruMemoize)`, `createSelector.withTypes<RootState>()`) or a local binding to either
+  function isMemoizingCreator(callee, depth) {
+    if (MEMOIZED_SELECTOR_CREATORS.indexOf(getSelectorLibraryName(callee)) !== -1) return true;
+    if (depth >= MAX_CREATOR_DEPTH) return false;
+
+    if (callee.type === "CallExpression") {
+      var factory = callee.callee;
+      if (factory.type === "MemberExpression" && !factory.computed && factory.property.name === "withTypes") {
+        return isMemoizingCreator(factory.object, depth + 1);
+      }
+      return SELECTOR_CREATOR_FACTORIES.indexOf(getSelectorLibraryName(factory)) !== -1;
+    }
+
+    if (callee.type !== "Identifier") return false;
+    var variable = findVariable(callee, callee.name);
+    var def = variable && variable.defs.length === 1 ? variable.defs[0] : null;
+    return !!def && def.type === "Variable" && !!def.node.init && isMemoizingCreator(def.node.init, depth + 1);
+  }
+
+  // Whether a selector hook call is passed a memoized selector, inline (`useSelector(createSelector(...))`) or
+  // through a local binding (`const selectSummary = createSelector(...)`)
+  function isMemoizedSelector(callExpr) {
+    if (!isSelectorHookCall(callExpr)) return false;
+
+    var arg = getSelectorArg(callExpr);
+    if (arg && arg.type === "Identifier") {
+      var variable = findVariable(arg, arg.name);
+      var def = variable && variable.defs.length === 1 ? variable.defs[0] : null;
+      arg = def && def.type === "Variable" ? def.node.init : null;
+    }
+    return !!arg && arg.type === "CallExpression" && isMemoizingCreator(arg.callee, 0);
+  }
+
+  // Resolve an imported binding to the selector function exported by its module
+  function resolveImportedSelector(def) {
+    var specifier = def.node;
+    if (specifier.type === "ImportNamespaceSpecifier") return null;
+
+    var found = modules.findExportFrom(
+      getFilename(context),
+      def.parent.source.value,
+      getImportedName(specifier),
+      getModuleParser()
+    );
+    if (!found) return null;
+
+    var selectorFn = found.node;
+    if (!isFunctionNode(selectorFn) && selectorFn.type !== "FunctionDeclaration") {
+      return null;
+    }
+
+    importedSelectors.set(selectorFn, {
+      sourceCode: found.module.sourceCode,
+      name: specifier.local.name,
+    });
+    return selectorFn;
+  }
+
+  // Get the identity selector a store hook called without a selector (`useBearStore()`) implicitly uses.
+  // It's written in the style of the declaration the call initializes: a function for `var`, an arrow otherwise.
+  function getImplicitSelector(callExpr) {
+    var selectorFn = implicitSelectors.get(callExpr);
+    if (selectorFn) return selectorFn;
+
+    var implicit = createImplicitSelector(prefersArrow(callExpr));
+
+    implicitSelectors.set(callExpr, implicit.node);
+    generatedSelectorSources.set(implicit.node, {
+      getText: function (node) {
+        return node ? implicit.text.slice(node.range[0], node.range[1]) : implicit.text;
+      },
+    });
+    return implicit.node;
+  }
+
+  // Generated selectors are arrow functions unless the call is declared with `var`
+  function prefersArrow(callExpr) {
+    var declaration = callExpr.parent && callExpr.parent.parent;
+    return !(declaration && declaration.type === "VariableDeclaration" && declaration.kind === "var");
+  }
+
+  // Parse the text of a generated selector, e.g. `state => state.user`, with the linted file's parser
+  function parseGeneratedSelector(text) {
+    var wrapped = "(" + text + ");";
+    var program;
+    try {
+      program = getModuleParser()(wrapped, getFilename(context));
+    } catch (e) {
+      return null;
+    }
+
+    var statement = program.body[0];
+    var selectorFn = statement && statement.type === "ExpressionStatement" ? statement.expression : null;
+    if (!isFunctionNode(selectorFn)) return null;
+
+    generatedSelectorSources.set(selectorFn, {
+      getText: function (node) {
+        return node ? wrapped.slice(node.range[0], node.range[1]) : wrapped;
+      },
+    });
+    return selectorFn;
+  }
+
+  function getObjectProperty(objectExpr, name) {
+    return (
+      objectExpr.properties.find(function(prop) {
+        return prop.type === "Property" && !prop.computed && (prop.key.name || prop.key.value) === name;
+      }) || null
+    );
+  }
+
+  // Get the options object of a Redux Toolkit slice binding, e.g. `{ name: "user", ... }` for
+  // `const userSlice = createSlice({ name: "user", ... })`
+  function getSliceOptions(node) {
+    if (node.type !== "Identifier") return null;
+
+    var variable = findVariable(node, node.name);
+    var def = variable && variable.defs.length === 1 ? variable.defs[0] : null;
+    var init = def && def.type === "Variable" ? def.node.init : null;
+    if (!init || init.type !== "CallExpression" || getSelectorLibraryName(init.callee) !== "createSlice") {
+      return null;
+    }
+
+    var sliceOptions = init.arguments[0];
+    return sliceOptions && sliceOptions.type === "ObjectExpression" ? sliceOptions : null;
+  }
+
+  // Get the root state key a slice is mounted at: its `reducerPath`, which defaults to its `name`
+  function getSliceReducerPath(sliceOptions) {
+    var prop = getObjectProperty(sliceOptions, "reducerPath") || getObjectProperty(sliceOptions, "name");
+    return prop && prop.value.type === "Literal" && typeof prop.value.value === "string" ? prop.value.value : null;
+  }
+
+  // Rewrite a slice selector to read from the root state: `s => s.name` becomes `s => s.user.name`.
+  // The parameter's slice state type annotation is dropped.
+  function prefixSliceSelector(sliceFn, isMethod, pathText) {
+    var param = sliceFn.params[0];
+    if (!param || param.type !== "Identifier") return null;
+
+    var sourceCode = getSourceCode(context);
+    var scope = sourceCode.scopeManager && sourceCode.scopeManager.acquire(sliceFn);
+    var variable = scope && scope.set.get(param.name);
+    if (!variable) return null;
+
+    var edits = [{ range: param.range, text: param.name }].concat(
+      variable.references.map(function(ref) {
+        return { range: ref.identifier.range, text: param.name + pathText };
+      })
+    );
+    edits.sort(function(a, b) {
+      return b.range[0] - a.range[0];
+    });
+
+    var start = sliceFn.range[0];
+    var text = sourceCode.getText(sliceFn);
+    edits.forEach(function(edit) {
+      text = text.slice(0, edit.range[0] - start) + edit.text + text.slice(edit.range[1] - start);
+    });
+
+    // Method shorthand `selectName(s) { ... }` has no `function` keyword of its own
+    return isMethod ? "function" + text : text;
+  }
+
+  // Resolve a Redux Toolkit slice selector to a selector of the root state: `userSlice.selectSlice` becomes
+  // `state => state.user`, and `userSlice.selectors.selectName` its definition reading from `state.user`
+  function resolveSliceSelector(member, callExpr) {
+    if (!sliceSelectors.has(member)) {
+      sliceSelectors.set(member, buildSliceSelector(member, callExpr));
+    }
+    return sliceSelectors.get(member);
+  }
+
+  function buildSliceSelector(member, callExpr) {
+    if (member.computed || member.property.type !== "Identifier") return null;
+
+    var object = member.object;
+    var sliceOptions = null;
+    var selectorProp = null;
+
+    if (member.property.name === "selectSlice") {
+      sliceOptions = getSliceOptions(object);
+    } else if (
+      object.type === "MemberExpression" &&
+      !object.computed &&
+      object.property.name === "selectors"
+    ) {
+      sliceOptions = getSliceOptions(object.object);
+      var selectorsProp = sliceOptions && getObjectProperty(sliceOptions, "selectors");
+      if (!selectorsProp || selectorsProp.value.type !== "ObjectExpression") return null;
+      selectorProp = getObjectProperty(selectorsProp.value, member.property.name);
+      if (!selectorProp) return null;
+    }
+
+    var reducerPath = sliceOptions && getSliceReducerPath(sliceOptions);
+    if (!reducerPath) return null;
+
+    var pathText = formatAccessor(reducerPath);
+
+    if (!selectorProp) {
+      return parseGeneratedSelector(
+        prefersArrow(callExpr)
+          ? "state => state" + pathText
+          : "function(state) { return state" + pathText + "; }"
+      );
+    }
+
+    var sliceFn = selectorProp.value;
+    if (sliceFn.type === "Identifier") {
+      sliceFn = resolveSelectorReference(sliceFn);
+    }
+    // Selectors resolved from another file can't be rewritten with this file's scopes
+    if (!isFunctionNode(sliceFn) || importedSelectors.has(sliceFn)) return null;
+
+    var text = prefixSliceSelector(sliceFn, selectorProp.method, pathText);
+    return text ? parseGeneratedSelector(text) : null;
+  }
+
+  // Rewrite a selector that destructures its parameter or aliases state in local bindings to read paths from its
+  // parameter: `({ user }) => user.name` and `s => { const user = s.user; return user.name; }` become
+  // `state => state.user.name` and `s => s.user.name`. Other selectors are returned unchanged.
+  function normalizeSelector(selectorFn) {
+    if (!selectorFn) return selectorFn;
+    if (!normalizedSelectors.has(selectorFn)) {
+      normalizedSelectors.set(selectorFn, buildNormalizedSelector(selectorFn) || selectorFn);
+    }
+    return normalizedSelectors.get(selectorFn);
+  }
+
+  function buildNormalizedSelector(selectorFn) {
+    // Imported and generated selectors can't be followed with this file's scopes
+    if (
+      selectorFn.params.length !== 1 ||
+      importedSelectors.has(selectorFn) ||
+      generatedSelectorSources.has(selectorFn)
+    ) {
+      return null;
+    }
+
+    var sourceCode = getSourceCode(context);
+    var scope = sourceCode.scopeManager && sourceCode.scopeManager.acquire(selectorFn);
+    if (!scope) return null;
+
+    // Path of each binding that stands for part of the state, e.g. `user` => `state.user`
+    var paths = new Map();
+    var param = selectorFn.params[0];
+    var paramName;
+
+    if (param.type === "Identifier") {
+      paramName = param.name;
+    } else if (param.type === "ObjectPattern") {
+      paramName = STATE_PARAM_NAMES.find(function (name) {
+        return !scope.set.has(name) && !scope.through.some(function (ref) {
+          return ref.identifier.name === name;
+        });
+      });
+      if (!paramName || !addPatternPaths(param, paramName, scope, paths)) return null;
+    } else {
+      return null;
+    }
+
+    var returned = getAliasedReturn(selectorFn.body, scope, param, paramName, paths);
+    if (!paths.size) return null;
+
+    var isReadOnly = Array.from(paths.keys()).every(function (variable) {
+      return variable.references.every(function (ref) {
+        return !ref.isWrite() || ref.init;
+      });
+    });
+    if (!isReadOnly) return null;
+
+    var edits = [];
+    if (param.type !== "Identifier") {
+      // The pattern's range includes its type annotation
+      edits.push({
+        range: param.range,
+        text: paramName + (param.typeAnnotation ? sourceCode.getText(param.typeAnnotation) : ""),
+      });
+    }
+
+    if (returned) {
+      // Local aliases are inlined, leaving only the returned expression
+      var returnedText = applyEdits(sourceCode, returned, getReferenceEdits(paths, returned.range));
+      edits.push({
+        range: selectorFn.body.range,
+        text:
+          selectorFn.type === "ArrowFunctionExpression"
+            ? returnedText[0] === "{" ? "(" + returnedText + ")" : returnedText
+            : "{ return " + returnedText + "; }",
+      });
+    } else {
+      edits.push.apply(edits, getReferenceEdits(paths, selectorFn.body.range));
+    }
+
+    return parseGeneratedSelector(applyEdits(sourceCode, selectorFn, edits));
+  }
+
+  // Map the bindings of a destructured parameter or local to their paths below `basePath`.
+  // Returns false for patterns that can't be expressed as paths, like defaults, rest elements and computed keys.
+  function addPatternPaths(pattern, basePath, scope, paths) {
+    return pattern.properties.every(function (prop) {
+      if (prop.type !== "Property" || prop.computed) return false;
+
+      var key = prop.key.type === "Identifier" ? prop.key.name : String(prop.key.value);
+      var path = basePath + formatAccessor(key);
+
+      if (prop.value.type === "Identifier") {
+        var variable = scope.set.get(prop.value.name);
+        if (!variable) return false;
+        paths.set(variable, path);
+        return true;
+      }
+      return prop.value.type === "ObjectPattern" && addPatternPaths(prop.value, path, scope, paths);
+    });
+  }
+
+  // Get the path an expression in the selector's own scope reads, e.g. `state.cart.items` for `cart.items`
+  // when `cart` aliases `state.cart`, or null when it isn't a path from the parameter
+  function resolveStatePath(node, scope, paramName, paths) {
+    var root = node.type === "ChainExpression" ? node.expression : node;
+    while (root.type === "MemberExpression") {
+      root = root.object;
+    }
+    if (root.type !== "Identifier") return null;
+
+    var ref = scope.references.find(function (reference) {
+      return reference.identifier === root;
+    });
+    var variable = ref && ref.resolved;
+    if (!variable) return null;
+
+    var rootPath = paths.get(variable);
+    if (!rootPath && variable.defs[0] && variable.defs[0].type === "Parameter" && root.name === paramName) {
+      rootPath = paramName;
+    }
+    if (!rootPath) return null;
+
+    var text = getSourceCode(context).getText(node);
+    return rootPath + text.slice(root.range[1] - node.range[0]);
+  }
+
+  // Follow a block body made of local aliases of the state followed by a return, like
+  // `{ const cart = state.cart; return cart.items; }`, adding the aliases to `paths`.
+  // Returns the returned expression, or null when the body isn't only aliases.
+  function getAliasedReturn(body, scope, param, paramName, paths) {
+    if (body.type !== "BlockStatement" || body.body.length < 2) return null;
+
+    var last = body.body[body.body.length - 1];
+    if (last.type !== "ReturnStatement" || !last.argument) return null;
+
+    var aliases = new Map(paths);
+    var isAliasesOnly = body.body.slice(0, -1).every(function (statement) {
+      return (
+        statement.type === "VariableDeclaration" &&
+        statement.declarations.every(function (declarator) {
+          var initPath = declarator.init && resolveStatePath(declarator.init, scope, paramName, aliases);
+          if (!initPath) return false;
+
+          if (declarator.id.type === "Identifier") {
+            var variable = scope.set.get(declarator.id.name);
+            if (!variable) return false;
+            aliases.set(variable, initPath);
+            return true;
+          }
+          return declarator.id.type === "ObjectPattern" && addPatternPaths(declarator.id, initPath, scope, aliases);
+        })
+      );
+    });
+    if (!isAliasesOnly) return null;
+
+    aliases.forEach(function (path, variable) {
+      paths.set(variable, path);
+    });
+    return last.argument;
+  }
+
+  // Replace each reference to a binding in `paths` within `range` with its path
+  function getReferenceEdits(paths, range) {
+    var edits = [];
+    paths.forEach(function (path, variable) {
+      variable.references.forEach(function (ref) {
+        var identifier = ref.identifier;
+        if (ref.isWrite() || identifier.range[0] < range[0] || identifier.range[1] > range[1]) return;
+
+        // `{ user }` in an object literal keeps its key
+        var parent = identifier.parent;
+        if (parent && parent.type === "Property" && parent.shorthand && parent.value === identifier) {
+          edits.push({ range: parent.range, text: identifier.name + ": " + path });
+        } else {
+          edits.push({ range: identifier.range, text: path });
+        }
+      });
+    });
+    return edits;
+  }
+
+  // Apply text edits within a node's source text
+  function applyEdits(sourceCode, node, edits) {
+    var start = node.range[0];
+    var text = sourceCode.getText(node);
+    edits
+      .slice()
+      .sort(function (a, b) {
+        return b.range[0] - a.range[0];
+      })
+      .forEach(function (edit) {
+        text = text.slice(0, edit.range[0] - start) + edit.text + text.slice(edit.range[1] - start);
+      });
+    return text;
+  }
+
+  // Get the module source text and local import name of a selector resolved from another file, if it was
+  function getImportedSelector(selectorFn) {
+    return importedSelectors.get(selectorFn) || null;
+  }
+
+  // Get the source code a selector function was parsed from: the linted file or an imported module
+  function getSourceCodeFor(selectorFn) {
+    var imported = importedSelectors.get(selectorFn);
+    if (imported) return imported.sourceCode;
+    return generatedSelectorSources.get(selectorFn) || getSourceCode(context);
+  }
+
+  // Whether a node is a wrapper hook call around a selector, e.g. useShallow(s => ({ ... }))
+  function isWrapperCall(node) {
+    return (
+      node.type === "CallExpression" &&
+      node.arguments.length > 0 &&
+      isNamedCallee(node.callee, wrapperHooks)
+    );
+  }
+
+  // Get the index of the selector among a hook's arguments, from the first include entry matching the hook.
+  // With importSources, entries also match the name the hook is imported under, so `{ name: "^useStore$",
+  // selectorArg: 1 }` from the zustand preset still applies to `import { useStore as useBoundStore }`.
+  function getSelectorArgIndex(callExpr) {
+    var names = getCalleeMatchNames(callExpr.callee);
+    if (importSources && callExpr.callee.type === "Identifier") {
+      var variable = findVariable(callExpr.callee, callExpr.callee.name);
+      var def = variable && variable.defs.length === 1 ? variable.defs[0] : null;
+      if (def && def.type === "ImportBinding" && def.node.type === "ImportSpecifier") {
+        names = names.concat(getImportedName(def.node));
+      }
+    }
+
+    for (var i = 0; i < includeEntries.length; i++) {
+      if (matchesAny([includeEntries[i].regexp], names)) {
+        return includeEntries[i].selectorArg;
+      }
+    }
+    return 0;
+  }
+
+  // Get the selector argument of a selector hook call, unwrapping wrapper hooks like useShallow
+  function getSelectorArg(callExpr) {
+    var index = getSelectorArgIndex(callExpr);
+    if (!callExpr.arguments || callExpr.arguments.length <= index) return null;
+
+    var arg = callExpr.arguments[index];
+    while (isWrapperCall(arg)) {
+      arg = arg.arguments[0];
+    }
+    return arg;
+  }
+
+  // Get the selector function of a selector hook call, following named references to their definition and
+  // Redux Toolkit slice selectors to their slice, with destructured parameters and local aliases normalized into
+  // paths. Calls without a selector argument use an implicit identity selector.
+  function getSelectorFn(callExpr) {
+    if (callExpr.arguments.length <= getSelectorArgIndex(callExpr)) return getImplicitSelector(callExpr);
+
+    var arg = getSelectorArg(callExpr);
+    if (!arg) return null;
+
+    if (isFunctionNode(arg)) return normalizeSelector(arg);
+    if (arg.type === "Identifier") return normalizeSelector(resolveSelectorReference(arg));
+    if (arg.type === "MemberExpression") return resolveSliceSelector(arg, callExpr);
+    return null;
+  }
+
+  // Get the `selectFromResult` callback passed to an RTK Query hook, following a named reference to its local
+  // definition and normalized like getSelectorFn, or null when the call isn't an RTK Query hook with one
+  function getQueryResultSelector(callExpr) {
+    var names = getCalleeMatchNames(callExpr.callee);
+    var hookName = names[names.length - 1];
+    if (!hookName || !QUERY_HOOK.test(hookName) || matchesAny(excludeRegexps, names)) return null;
+
+    var queryOptions = callExpr.arguments[LAZY_QUERY_HOOK.test(hookName) ? 0 : 1];
+    if (!queryOptions || queryOptions.type !== "ObjectExpression") return null;
+
+    var prop = getObjectProperty(queryOptions, "selectFromResult");
+    if (!prop) return null;
+
+    if (isFunctionNode(prop.value)) return normalizeSelector(prop.value);
+    if (prop.value.type === "Identifier") return normalizeSelector(resolveSelectorReference(prop.value));
+    return null;
+  }
+
+  // Whether a selector call compares its result with an equality function, e.g.
+  // useSelector(selector, shallowEqual), useSelector(selector, (a, b) => ...) or useStore(useShallow(selector))
+  function hasEqualityGuard(callExpr) {
+    var index = getSelectorArgIndex(callExpr);
+    var selectorArg = callExpr.arguments[index];
+    if (selectorArg && isWrapperCall(selectorArg)) return true;
+
+    return callExpr.arguments.slice(index + 1).some(function(arg) {
+      if (isFunctionNode(arg)) return arg.params.length >= 2;
+      return (
+        (arg.type === "Identifier" || arg.type === "MemberExpression") &&
+        isNamedCallee(arg, equalityFunctions)
+      );
+    });
+  }
+
+  return {
+    isSelectorFunction: isSelectorFunction,
+    findVariable: findVariable,
+    getImportedSelector: getImportedSelector,
+    getSourceCodeFor: getSourceCodeFor,
+    getSelectorArgIndex: getSelectorArgIndex,
+    getSelectorArg: getSelectorArg,
+    getSelectorFn: getSelectorFn,
+    isMemoizedSelector: isMemoizedSelector,
+    getQueryResultSelector: getQueryResultSelector,
+    hasEqualityGuard: hasEqualityGuard,
+  };
+}
+
+module.exports = {
+  schema: schema,
+  getSourceCode: getSourceCode,
+  getFilename: getFilename,
+  describeSelectorCall: describeSelectorCall,
+  isFunctionNode: isFunctionNode,
+  getReturnedExpressions: getReturnedExpressions,
+  getCalleeName: getCalleeName,
+  createSelectorDetector: createSelectorDetector,
+};
@@ -0,0 +1,124 @@
+/**
+ * @fileoverview Classify the TypeScript types of selector results when the parser provides a type checker
+ */
+"use strict";
+
+var selectors = require("./selectors");
+
+function getParserServices(context) {
+  var sourceCode = selectors.getSourceCode(context);
+  return (sourceCode && sourceCode.parserServices) || context.parserServices || null;
+}
+
+// Returns null without `parserOptions.project`, so callers keep their syntactic behaviour
+function createTypeInspector(context) {
+  var services = getParserServices(context);
+  if (
+    !services ||
+    !services.program ||
+    !services.esTreeNodeToTSNodeMap ||
+    services.hasFullTypeInformation === false
+  ) {
+    return null;
+  }
+
+  // TypeScript is an optional peer dependency; without it selectors are checked syntactically
+  var ts;
+  try {
+    ts = require("typescript");
+  } catch (e) {
+    return null;
+  }
+  var checker = services.program.getTypeChecker();
+
+  var PRIMITIVE_FLAGS =
+    ts.TypeFlags.StringLike |
+    ts.TypeFlags.NumberLike |
+    ts.TypeFlags.BigIntLike |
+    ts.TypeFlags.BooleanLike |
+    ts.TypeFlags.ESSymbolLike |
+    ts.TypeFlags.EnumLike |
+    ts.TypeFlags.Null |
+    ts.TypeFlags.Undefined |
+    ts.TypeFlags.Void |
+    ts.TypeFlags.Never;
+
+  function isTupleType(type) {
+    return checker.isTupleType
+      ? checker.isTupleType(type)
+      : !!(type.target && type.target.objectFlags & ts.ObjectFlags.Tuple);
+  }
+
+  function isArrayType(type) {
+    return checker.isArrayType
+      ? checker.isArrayType(type)
+      : !!(type.symbol && /^(Readonly)?Array$/.test(type.symbol.name));
+  }
+
+  function isPrimitive(type) {
+    return !!(type.flags & PRIMITIVE_FLAGS);
+  }
+
+  // Classify a type (with type aliases resolved) as "primitive", "function", "primitiveTuple", "array",
+  // "functionBag" (an object of functions only, like a store's actions) or "object".
+  // Returns null for `any`, `unknown`, type parameters and unions of different kinds.
+  function classifyType(type, tsNode) {
+    if (type.flags & (ts.TypeFlags.Any | ts.TypeFlags.Unknown | ts.TypeFlags.TypeParameter)) {
+      return null;
+    }
+
+    if (type.isUnion()) {
+      // `User | undefined` is still an object
+      var kinds = type.types
+        .filter(function (member) {
+          return !(member.flags & (ts.TypeFlags.Null | ts.TypeFlags.Undefined));
+        })
+        .map(function (member) {
+          return classifyType(member, tsNode);
+        });
+      if (!kinds.length) return "primitive";
+      return kinds.every(function (kind) {
+        return kind === kinds[0];
+      })
+        ? kinds[0]
+        : null;
+    }
+
+    if (isPrimitive(type)) return "primitive";
+
+    if (isTupleType(type)) {
+      return checker.getTypeArguments(type).every(isPrimitive) ? "primitiveTuple" : "array";
+    }
+    if (isArrayType(type)) return "array";
+
+    if (type.getCallSignatures().length) return "function";
+
+    var properties = checker.getPropertiesOfType(type);
+    var isFunctionBag =
+      properties.length > 0 &&
+      properties.every(function (property) {
+        return checker.getTypeOfSymbolAtLocation(property, tsNode).getCallSignatures().length > 0;
+      });
+    return isFunctionBag ? "functionBag" : "object";
+  }
+
+  // Get the type of a node's value, e.g. what a selector hook call returns
+  function getTypeInfo(node) {
+    var tsNode = services.esTreeNodeToTSNodeMap.get(node);
+    if (!tsNode) return null;
+
+    var type = checker.getTypeAtLocation(tsNode);
+    return {
+      kind: classifyType(type, tsNode),
+      text: checker.typeToString(type),
+    };
+  }
+
+  return {
+    getTypeInfo: getTypeInfo,
+  };
+}
+
+module.exports = {
+  createTypeInspector: createTypeInspector,
+};
@@ -0,0 +1,2 @@
+export * from "./selectors";
+export { default as selectCheckout } from "./selectors";
@@ -0,0 +1,13 @@
+export const selectCart = (state) => state.cart;
+
+export function selectCartTotals(state) {
+  return { total: state.cart.total, count: state.cart.count };
+}
+
+export function selectVisibleItems(state) {
+  return state.cart.items.filter((item) => item.visible);
+}
+
+const selectCheckout = (state) => state.checkout;
+
+export default selectCheckout;
@@ -0,0 +1,3 @@
+import type { RootState } from "../../store";
+
+export const selectUser = (state: RootState) => state.user;
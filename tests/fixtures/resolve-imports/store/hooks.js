@@ -0,0 +1,3 @@
+import { useSelector } from "react-redux";
+
+export const useAppSelector = useSelector;
@@ -0,0 +1,2 @@
+export * from "./hooks";
+export { useSelector as useReduxSelector } from "react-redux";
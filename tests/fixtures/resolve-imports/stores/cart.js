@@ -0,0 +1,7 @@
+import { create } from "zustand";
+
+export const useCart = create((set) => ({
+  items: [],
+  total: 0,
+  clear: () => set({ items: [], total: 0 }),
+}));
@@ -0,0 +1,9 @@
+import { createWithEqualityFn } from "zustand/traditional";
+import { shallow } from "zustand/shallow";
+
+export const usePrefs = createWithEqualityFn()(
+  () => ({
+    settings: { theme: "dark", locale: "en" },
+  }),
+  shallow
+);
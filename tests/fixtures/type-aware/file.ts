@@ -0,0 +1,2 @@
+// Placeholder so the type-aware tests' filename is part of the project; the tests provide the code
+export {};
@@ -3,9 +3,18 @@
  */
 "use strict";
 
+var path = require("path");
 var rule = require("../../../lib/rules/granular-selectors");
 var RuleTester = require("eslint").RuleTester;
 
+// Lint as if from a component next to the fixture selectors used by resolveImports tests
+var resolveImportsFixtures = path.join(__dirname, "../../fixtures/resolve-imports");
+var componentFilename = path.join(resolveImportsFixtures, "components/Cart.js");
+
+var typeAwareFixtures = path.join(__dirname, "../../fixtures/type-aware");
+// importSources keys are resolved from the working directory
+var storeHooksSource = "./" + path.relative(process.cwd(), path.join(resolveImportsFixtures, "store/hooks")).split(path.sep).join("/");
+
 // More reliable way to detect ESLint versions
 var eslintVersion = require("eslint/package.json").version;
 var isESLint5 = eslintVersion.startsWith("5.");
@@ -49,10 +58,10 @@ ruleTester.run("granular-selectors", rule, {
   invalid: [
     {
       code: "var obj = useAppSelector(function(state) { return state; }); var foo = obj.foo; var bar = obj.bar;",
+      options: [{ fixMode: "all" }],
       errors: [
         {
-          message:
-            "Avoid destructuring from selectors. Use granular selectors that return specific values.",
+          messageId: "coordinatedAccess",
         },
       ],
       output:
@@ -60,21 +69,69 @@ ruleTester.run("granular-selectors", rule, {
     },
     {
       code: "var obj = useSelector(function(state) { return state.data; }); var foo = obj.foo; var bar = obj.bar;",
+      options: [{ fixMode: "all" }],
       errors: [
         {
-          message:
-            "Avoid destructuring from selectors. Use granular selectors that return specific values.",
+          messageId: "coordinatedAccess",
+          data: {
+            names: "`foo`, `bar`",
+            variable: "obj",
+            selector: "useSelector(function(state) { return state.data; })",
+            paths: "`state.data.foo`, `state.data.bar`",
+          },
         },
       ],
       output:
         "var foo = useSelector(function(state) { return state.data.foo; });\nvar bar = useSelector(function(state) { return state.data.bar; });  ",
     },
+    // Member-expression selector hooks keep their callee text in the fix
+    {
+      code: "var user = Redux.useSelector(function(state) { return state.user; }); var name = user.name;",
+      options: [{ fixMode: "all" }],
+      errors: [
+        {
+          messageId: "coordinatedAccess",
+        },
+      ],
+      output:
+        "var name = Redux.useSelector(function(state) { return state.user.name; }); ",
+    },
+    // Named selector references are resolved to their local definition
+    {
+      code: "var selectUser = function(state) { return state.user; }; var user = useSelector(selectUser); var name = user.name;",
+      options: [{ fixMode: "all" }],
+      errors: [
+        {
+          messageId: "coordinatedAccess",
+        },
+      ],
+      output:
+        "var selectUser = function(state) { return state.user; }; var name = useSelector(function(state) { return state.user.name; }); ",
+    },
+    // Property access reported on its own when the selector declaration itself is ignored
+    {
+      code: "var obj = useSelector(function(state) { return state.user; }); var name = obj.name;",
+      options: [{ ignorePatterns: ["^obj = "] }],
+      errors: [
+        {
+          messageId: "propertyAccess",
+          data: {
+            name: "name",
+            variable: "obj",
+            selector: "useSelector(function(state) { return state.user; })",
+            path: "state.user.name",
+          },
+        },
+      ],
+      output:
+        "var obj = useSelector(function(state) { return state.user; }); var name = useSelector(function(state) { return state.user.name; });",
+    },
     {
       code: "var obj = useStoreSelector(function(state) { return state; }); var count = obj.count; var increment = obj.increment;",
+      options: [{ fixMode: "all" }],
       errors: [
         {
-          message:
-            "Avoid destructuring from selectors. Use granular selectors that return specific values.",
+          messageId: "coordinatedAccess",
         },
       ],
       output:
@@ -82,10 +139,10 @@ ruleTester.run("granular-selectors", rule, {
     },
     {
       code: "var obj = useProductsSelector(function(state) { return state; }); var items = obj.items; var totalCount = obj.totalCount;",
+      options: [{ fixMode: "all" }],
       errors: [
         {
-          message:
-            "Avoid destructuring from selectors. Use granular selectors that return specific values.",
+          messageId: "coordinatedAccess",
         },
       ],
       output:
@@ -94,22 +151,34 @@ ruleTester.run("granular-selectors", rule, {
     // Test for fallback logic with logical OR
     {
       code: "var obj = useSelector(function(state) { return state.data || {}; }); var items = obj.items; var count = obj.count;",
+      options: [{ fixMode: "all" }],
       errors: [
         {
-          message:
-            "Avoid destructuring from selectors. Use granular selectors that return specific values.",
+          messageId: "coordinatedAccess",
         },
       ],
       output:
         "var items = useSelector(function(state) { return state.data.items || {}; });\nvar count = useSelector(function(state) { return state.data.count || {}; });  ",
     },
+    // Store hooks called without a selector keep the ES5 style
+    {
+      code: "var store = useBearStore(); var bears = store.bears; var fish = store.fish;",
+      options: [{ include: ["^useBearStore$"], fixMode: "all" }],
+      errors: [
+        {
+          messageId: "coordinatedAccess",
+        },
+      ],
+      output:
+        "var bears = useBearStore(function(s) { return s.bears; });\nvar fish = useBearStore(function(s) { return s.fish; });  ",
+    },
     // Test for fallback logic with logical OR instead of nullish coalescing for ES5
     {
       code: "var obj = useSelector(function(state) { return state.user || null; }); var name = obj.name; var email = obj.email;",
+      options: [{ fixMode: "all" }],
       errors: [
         {
-          message:
-            "Avoid destructuring from selectors. Use granular selectors that return specific values.",
+          messageId: "coordinatedAccess",
         },
       ],
       output:
@@ -155,14 +224,307 @@ if (isESLint5) {
         // Test for fallback logic
         "const data = useSelector(state => state.data || {});",
         "const user = useSelector(state => state.user ?? null);",
+        "const name = hooks.useAppSelector(state => state.user.name);",
+        "for (const row of useSelector(state => state.rows)) {}",
+        {
+          code: "for (const { id } of useSelector(state => state.rows, shallowEqual)) {}",
+          options: [{ allowWithEquality: true }],
+        },
+        "function renderRow(row) { return row.id; } renderRow(useSelector(state => state.row));",
+        "renderRow(useSelector(state => state.row));",
+        {
+          code: "const { a } = hooks.useAppSelector(state => state);",
+          options: [{ exclude: ["^hooks\\."] }],
+        },
+        // Store hooks called without a selector: only destructuring and property reads are reported
+        {
+          code: "const store = useBearStore(); doSomething(store);",
+          options: [{ include: ["^useBearStore$"] }],
+        },
+        {
+          code: "useBearStore();",
+          options: [{ include: ["^useBearStore$"] }],
+        },
+        {
+          code: "const { bears } = useBearStore();",
+          options: [{ include: ["use.*Store"], exclude: ["^useBearStore$"] }],
+        },
+        // Methods matched through the hook's name are not hook calls
+        {
+          code: "const { bears } = useBearStore.getState();",
+          options: [{ include: ["use.*Store"] }],
+        },
+        "const selectUserName = state => state.user.name; const name = useSelector(selectUserName);",
+        // Reassigned bindings can't be resolved to a single definition
+        "let selectUser = state => state.user; selectUser = selectOther; const { name } = useSelector(selectUser);",
+        // allowWithEquality: equality functions and wrapper hooks guard destructuring
+        {
+          code: "const { a, b } = useSelector(state => ({ a: state.a, b: state.b }), shallowEqual);",
+          options: [{ allowWithEquality: true }],
+        },
+        {
+          code: "const { a, b } = useSelector(state => state.settings, ReactRedux.shallowEqual);",
+          options: [{ allowWithEquality: true }],
+        },
+        {
+          code: "const { a, b } = useSelector(state => state.settings, (prev, next) => prev.a === next.a);",
+          options: [{ allowWithEquality: true }],
+        },
+        {
+          code: "const { a, b } = useBearSelector(useShallow(state => ({ a: state.a, b: state.b })));",
+          options: [{ allowWithEquality: true }],
+        },
+        {
+          code: "const { a, b } = useSelector(state => state.settings, deepEqual);",
+          options: [{ allowWithEquality: true, equalityFunctions: ["deepEqual"] }],
+        },
+        {
+          code: "const settings = useSelector(state => state.settings, shallowEqual); const { a } = settings;",
+          options: [{ allowWithEquality: true }],
+        },
+        // Imported selectors are only resolved when resolveImports is enabled
+        {
+          code: 'import { selectCart } from "../features/cart/selectors"; const { items } = useSelector(selectCart);',
+          filename: componentFilename,
+        },
+        {
+          code: 'import { selectMissing } from "../features/cart/selectors"; const { items } = useSelector(selectMissing);',
+          filename: componentFilename,
+          options: [{ resolveImports: true }],
+        },
+        // Imported store hooks are only parsed when resolveImports is enabled
+        {
+          code: 'import { useCart } from "../stores/cart";\nconst { items } = useCart();',
+          filename: componentFilename,
+        },
+        // With importSources, only hooks imported from the listed modules count
+        {
+          code: 'import { useSelectorState } from "./table"; const { a } = useSelectorState(state => state);',
+          options: [{ importSources: { "react-redux": ["useSelector"] } }],
+        },
+        {
+          code: "const useSelector = () => ({}); const { a } = useSelector(state => state);",
+          options: [{ importSources: { "react-redux": ["useSelector"] } }],
+        },
+        {
+          code: 'import { useStore } from "react-redux"; const { a } = useStore(state => state);',
+          options: [{ importSources: { "react-redux": ["useSelector"] } }],
+        },
+        // Equality functions after a selector that isn't the first argument
+        {
+          code: "const { a, b } = useStoreWithEqualityFn(store, state => state.settings, shallow);",
+          options: [{ include: [{ name: "^useStoreWithEqualityFn$", selectorArg: 1 }], allowWithEquality: true }],
+        },
+        // Only stores created by Zustand's create() are detected as hooks
+        'import { create } from "./not-zustand"; const useCart = create(() => ({})); const { items } = useCart();',
+        "const useCart = create(() => ({})); const { items } = useCart();",
+        {
+          code: 'import { useCart } from "../features/cart/selectors"; const { items } = useCart();',
+          filename: componentFilename,
+        },
+        {
+          code: 'import { create } from "zustand"; const useCart = create(() => ({})); const { items } = useCart();',
+          options: [{ exclude: ["^useCart$"] }],
+        },
+        // Memoized selectors cache their result; no-destructured-memoized-selector reports them
+        'import { createSelector } from "reselect"; const selectSummary = createSelector([selectTodos], todos => ({ total: todos.length })); const { total } = useSelector(selectSummary);',
+        'import { createStructuredSelector } from "reselect"; const { todos, filter } = useSelector(createStructuredSelector({ todos: selectTodos, filter: selectFilter }));',
+        'import * as RTK from "@reduxjs/toolkit"; const selectSummary = RTK.createSelector([selectTodos], todos => todos.summary); const summary = useSelector(selectSummary);\nconst { total } = summary;',
+        // Presets: zustand's actions convention and equality helpers, xstate's selector position
+        {
+          code: "const { increase, reset } = useBearStore(state => state.actions);",
+          options: [{ preset: "zustand" }],
+        },
+        {
+          code: "const { increase, reset } = useBearStore(state =>\n  state.actions,\n);",
+          options: [{ preset: "zustand" }],
+        },
+        {
+          code: "const { increase, reset } = useBearStore((s) => (s.actions));",
+          options: [{ preset: "zustand" }],
+        },
+        {
+          code: "var actions = useBearStore(function (state) { return state?.actions; });\nvar increase = actions.increase;",
+          options: [{ preset: "zustand" }],
+        },
+        {
+          code: "const { bears, fish } = useBearStore(useShallow(state => ({ bears: state.bears, fish: state.fish })));",
+          options: [{ preset: "zustand", allowWithEquality: true }],
+        },
+        {
+          code: "const { count, total } = useSelector(actorRef, snapshot => snapshot.context, shallowEqual);",
+          options: [{ preset: "xstate", allowWithEquality: true }],
+        },
+        {
+          code: "const { bears } = useBearStore(state => state.forest);",
+          options: [{ preset: "zustand", exclude: ["^useBearStore$"] }],
+        },
+        // RTK Query selectFromResult callbacks that select only some fields
+        "const { post } = useGetPostsQuery(undefined, { selectFromResult: ({ data }) => ({ post: data?.find(post => post.id === id) }) });",
+        "const { total, isLoading } = useGetPostsQuery(undefined, { selectFromResult: result => ({ total: result.data?.total, isLoading: result.isLoading }) });",
+        "const { a, ...rest } = useGetPostsQuery(undefined, { selectFromResult: r => ({ a: r.data.a, b: r.data.b }) });",
+        "const { data } = useGetPostsQuery();",
+        {
+          code: "const result = useGetPostsQuery(undefined, { selectFromResult: result => result });",
+          options: [{ exclude: ["^useGetPostsQuery$"] }],
+        },
+        // Slices that aren't created with Redux Toolkit aren't resolved
+        'import { createSlice } from "./slices"; const userSlice = createSlice({ name: "user", selectors: { selectProfile: s => s.profile } }); const { name } = useSelector(userSlice.selectors.selectProfile);',
       ],
       invalid: [
+        // Presets
+        {
+          code: "const { bears, fish } = useBearStore(state => state.forest);",
+          options: [{ preset: "zustand" }],
+          errors: [{ messageId: "destructuring" }],
+          output: "const bears = useBearStore(state => state.forest.bears);\nconst fish = useBearStore(state => state.forest.fish);",
+        },
+        {
+          code: "const { bears } = useStore(bearStore, state => state.forest);",
+          options: [{ preset: "zustand" }],
+          errors: [{ messageId: "destructuring" }],
+          output: "const bears = useStore(bearStore, state => state.forest.bears);",
+        },
+        // Only selectors returning the `actions` object itself are ignored
+        {
+          code: "const { increase } = useBearStore(state => state.actions.counter);",
+          options: [{ preset: "zustand" }],
+          errors: [{ messageId: "destructuring" }],
+          output: "const increase = useBearStore(state => state.actions.counter.increase);",
+        },
+        {
+          code: "const { count } = useSelector(actorRef, snapshot => snapshot.context);",
+          options: [{ preset: "xstate" }],
+          errors: [{ messageId: "destructuring" }],
+          output: "const count = useSelector(actorRef, snapshot => snapshot.context.count);",
+        },
+        {
+          code: "const { name } = useAppSelector(state => state.user);",
+          options: [{ preset: "redux" }],
+          errors: [{ messageId: "destructuring" }],
+          output: "const name = useAppSelector(state => state.user.name);",
+        },
+        // Presets combine with user patterns, which take precedence
+        {
+          code: "const { a } = useSelector(state => state.settings);\nconst { b } = useBoundSelector(store, state => state.settings);",
+          options: [{ preset: ["redux", "zustand"], include: [{ name: "^useBoundSelector$", selectorArg: 1 }] }],
+          errors: [{ messageId: "destructuring" }, { messageId: "destructuring" }],
+          output: "const a = useSelector(state => state.settings.a);\nconst b = useBoundSelector(store, state => state.settings.b);",
+        },
+        // RTK Query selectFromResult callbacks that pass on the whole result or the whole `data`
+        {
+          code: "const result = useGetPostsQuery(undefined, { selectFromResult: result => result });",
+          errors: [
+            {
+              messageId: "queryResult",
+              data: { hook: "useGetPostsQuery", selected: "the whole query result" },
+            },
+          ],
+        },
+        {
+          code: "const { data, isLoading } = useGetPostsQuery(undefined, { selectFromResult: ({ data, isLoading }) => ({ data, isLoading }) });",
+          errors: [
+            {
+              messageId: "queryResult",
+              data: { hook: "useGetPostsQuery", selected: "the whole `data`" },
+            },
+          ],
+        },
+        {
+          code: "const [trigger, result] = useLazyGetPostsQuery({ selectFromResult: result => ({ ...result }) });",
+          errors: [{ messageId: "queryResult", data: { hook: "useLazyGetPostsQuery", selected: "the whole query result" } }],
+        },
+        {
+          code: "const { posts } = api.endpoints.getPosts.useQueryState(undefined, { selectFromResult: function (result) { return { posts: result.data }; } });",
+          errors: [{ messageId: "queryResult", data: { hook: "api.endpoints.getPosts.useQueryState", selected: "the whole `data`" } }],
+        },
+        {
+          code: "const selectPosts = ({ data: posts }) => ({ posts }); const { posts } = useGetPostsQuery(undefined, { selectFromResult: selectPosts });",
+          errors: [{ messageId: "queryResult", data: { hook: "useGetPostsQuery", selected: "the whole `data`" } }],
+        },
+        // selectFromResult fields the destructuring doesn't read are dropped from inline callbacks
+        {
+          code: "const { a } = useGetPostsQuery(undefined, { selectFromResult: r => ({ a: r.data.a, b: r.data.b }) });",
+          errors: [
+            {
+              messageId: "queryResultFields",
+              data: { hook: "useGetPostsQuery", unused: "`b`", names: "`a`" },
+            },
+          ],
+          output: "const { a } = useGetPostsQuery(undefined, { selectFromResult: r => ({ a: r.data.a }) });",
+        },
+        {
+          code: "const { title, refetch } = useGetPostQuery(id, { selectFromResult: ({ data, isLoading }) => ({ title: data.title, body: data.body, isLoading }) });",
+          errors: [{ messageId: "queryResultFields", data: { hook: "useGetPostQuery", unused: "`body`, `isLoading`", names: "`title`" } }],
+          output: "const { title, refetch } = useGetPostQuery(id, { selectFromResult: ({ data, isLoading }) => ({ title: data.title }) });",
+        },
+        {
+          code: "let a; ({ a } = useGetPostsQuery(undefined, { selectFromResult: function (r) { return { a: r.data.a, b: r.data.b }; } }));",
+          errors: [{ messageId: "queryResultFields" }],
+          output: "let a; ({ a } = useGetPostsQuery(undefined, { selectFromResult: function (r) { return { a: r.data.a }; } }));",
+        },
+        // A callback passed by name may be shared, so it is reported without a fix
+        {
+          code: "const pick = r => ({ a: r.data.a, b: r.data.b }); const { a } = useGetPostsQuery(undefined, { selectFromResult: pick });",
+          errors: [{ messageId: "queryResultFields" }],
+        },
+        // Redux Toolkit slice selectors are resolved to their definitions, prefixed with the slice's reducer path
+        {
+          code: 'import { createSlice } from "@reduxjs/toolkit"; const userSlice = createSlice({ name: "user", initialState, reducers: {}, selectors: { selectProfile: s => s.profile } }); const { name, email } = useSelector(userSlice.selectors.selectProfile);',
+          errors: [
+            {
+              messageId: "destructuring",
+              data: {
+                names: "`name`, `email`",
+                selector: "useSelector(userSlice.selectors.selectProfile)",
+                paths: "`s.user.profile.name`, `s.user.profile.email`",
+              },
+            },
+          ],
+          output:
+            'import { createSlice } from "@reduxjs/toolkit"; const userSlice = createSlice({ name: "user", initialState, reducers: {}, selectors: { selectProfile: s => s.profile } }); const name = useSelector(s => s.user.profile.name);\nconst email = useSelector(s => s.user.profile.email);',
+        },
+        {
+          code: 'import { createSlice } from "@reduxjs/toolkit"; const userSlice = createSlice({ name: "user", reducerPath: "account", selectors: { selectProfile(state) { return state.profile; } } }); const { name } = useSelector(userSlice.selectors.selectProfile);',
+          errors: [{ messageId: "destructuring" }],
+          output:
+            'import { createSlice } from "@reduxjs/toolkit"; const userSlice = createSlice({ name: "user", reducerPath: "account", selectors: { selectProfile(state) { return state.profile; } } }); const name = useSelector(state => state.account.profile.name);',
+        },
+        // Reducer paths that aren't identifiers are read with bracket notation
+        {
+          code: 'import { createSlice } from "@reduxjs/toolkit"; const userSlice = createSlice({ name: "user-prefs", selectors: {} }); const { theme } = useSelector(userSlice.selectSlice);',
+          errors: [{ messageId: "destructuring" }],
+          output:
+            'import { createSlice } from "@reduxjs/toolkit"; const userSlice = createSlice({ name: "user-prefs", selectors: {} }); const theme = useSelector(state => state["user-prefs"].theme);',
+        },
+        // selectSlice selects the whole slice state
+        {
+          code: 'import { createSlice } from "@reduxjs/toolkit"; const todosSlice = createSlice({ name: "todos", initialState, reducers: {} }); const { items, filter } = useSelector(todosSlice.selectSlice);',
+          errors: [
+            {
+              messageId: "destructuring",
+              data: {
+                names: "`items`, `filter`",
+                selector: "useSelector(todosSlice.selectSlice)",
+                paths: "`state.todos.items`, `state.todos.filter`",
+              },
+            },
+          ],
+          output:
+            'import { createSlice } from "@reduxjs/toolkit"; const todosSlice = createSlice({ name: "todos", initialState, reducers: {} }); const items = useSelector(state => state.todos.items);\nconst filter = useSelector(state => state.todos.filter);',
+        },
+        {
+          code: 'import { createSlice } from "@reduxjs/toolkit"; var todosSlice = createSlice({ name: "todos", initialState: initialState, reducers: {} }); var todos = useSelector(todosSlice.selectSlice); var items = todos.items;',
+          options: [{ fixMode: "all" }],
+          errors: [{ messageId: "coordinatedAccess" }],
+          output:
+            'import { createSlice } from "@reduxjs/toolkit"; var todosSlice = createSlice({ name: "todos", initialState: initialState, reducers: {} }); var items = useSelector(function(state) { return state.todos.items; }); ',
+        },
         {
           code: "const { foo, bar } = useAppSelector(state => state);",
           errors: [
             {
-              message:
-                "Avoid destructuring from selectors. Use granular selectors that return specific values.",
+              messageId: "destructuring",
             },
           ],
           output:
@@ -172,8 +534,12 @@ if (isESLint5) {
           code: "const { foo, bar } = useSelector(state => state.data);",
           errors: [
             {
-              message:
-                "Avoid destructuring from selectors. Use granular selectors that return specific values.",
+              messageId: "destructuring",
+              data: {
+                names: "`foo`, `bar`",
+                selector: "useSelector(state => state.data)",
+                paths: "`state.data.foo`, `state.data.bar`",
+              },
             },
           ],
           output:
@@ -183,8 +549,7 @@ if (isESLint5) {
           code: "const { user: { name, email }, settings } = useAppSelector(state => state);",
           errors: [
             {
-              message:
-                "Avoid destructuring from selectors. Use granular selectors that return specific values.",
+              messageId: "destructuring",
             },
           ],
           output:
@@ -194,8 +559,7 @@ if (isESLint5) {
           code: "const { foo: renamedFoo, bar } = useAppSelector(state => state);",
           errors: [
             {
-              message:
-                "Avoid destructuring from selectors. Use granular selectors that return specific values.",
+              messageId: "destructuring",
             },
           ],
           output:
@@ -203,10 +567,10 @@ if (isESLint5) {
         },
         {
           code: "const obj = useStoreSelector(state => state); const count = obj.count; const increment = obj.increment;",
+          options: [{ fixMode: "all" }],
           errors: [
             {
-              message:
-                "Avoid destructuring from selectors. Use granular selectors that return specific values.",
+              messageId: "coordinatedAccess",
             },
           ],
           output:
@@ -215,10 +579,10 @@ if (isESLint5) {
         // Test for aliases and default values
         {
           code: "const { jobs: jobsList = [], totalCount = 0 } = useSelector(state => state.hiringExtensionJobs || {});",
+          options: [{ fixMode: "all" }],
           errors: [
             {
-              message:
-                "Avoid destructuring from selectors. Use granular selectors that return specific values.",
+              messageId: "destructuring",
             },
           ],
           output:
@@ -227,10 +591,10 @@ if (isESLint5) {
         // Specific test case for hiringExtensionJobs example
         {
           code: "const { jobs: jobsList = [], totalCount = 0 } = useSelector(state => state.hiringExtensionJobs);",
+          options: [{ fixMode: "all" }],
           errors: [
             {
-              message:
-                "Avoid destructuring from selectors. Use granular selectors that return specific values.",
+              messageId: "destructuring",
             },
           ],
           output:
@@ -241,8 +605,7 @@ if (isESLint5) {
           code: "const { name: profileName } = useSelector(state => state.profile);",
           errors: [
             {
-              message:
-                "Avoid destructuring from selectors. Use granular selectors that return specific values.",
+              messageId: "destructuring",
             },
           ],
           output:
@@ -251,10 +614,10 @@ if (isESLint5) {
         // Test for combined property alias, default values, and base path
         {
           code: "const { name: profileName = 'Guest', email = '' } = useSelector(state => state.profile || {});",
+          options: [{ fixMode: "all" }],
           errors: [
             {
-              message:
-                "Avoid destructuring from selectors. Use granular selectors that return specific values.",
+              messageId: "destructuring",
             },
           ],
           output:
@@ -263,10 +626,10 @@ if (isESLint5) {
         // Test for fallback logic with logical OR
         {
           code: "const { items, count } = useSelector(state => state.data || {});",
+          options: [{ fixMode: "all" }],
           errors: [
             {
-              message:
-                "Avoid destructuring from selectors. Use granular selectors that return specific values.",
+              messageId: "destructuring",
             },
           ],
           output:
@@ -275,10 +638,10 @@ if (isESLint5) {
         // Test for fallback logic with nullish coalescing
         {
           code: "const { name, email } = useSelector(state => state.user ?? null);",
+          options: [{ fixMode: "all" }],
           errors: [
             {
-              message:
-                "Avoid destructuring from selectors. Use granular selectors that return specific values.",
+              messageId: "destructuring",
             },
           ],
           output:
@@ -287,10 +650,10 @@ if (isESLint5) {
         // Test for combined fallback logic and default values
         {
           code: "const { name = 'Guest', email = '' } = useSelector(state => state.user ?? {});",
+          options: [{ fixMode: "all" }],
           errors: [
             {
-              message:
-                "Avoid destructuring from selectors. Use granular selectors that return specific values.",
+              messageId: "destructuring",
             },
           ],
           output:
@@ -317,8 +680,7 @@ if (isESLint5) {
           }));`,
           errors: [
             {
-              message:
-                "Avoid destructuring from selectors. Use granular selectors that return specific values.",
+              messageId: "destructuring",
             },
           ],
           output:
@@ -335,12 +697,16 @@ const userIsFollowingProfile = useSelector((state) => state.notifications?.userI
           code: "const obj = useSelector(state => state); const { a } = obj; const { b } = obj;",
           errors: [
             {
-              message:
-                "Avoid destructuring from selectors. Use granular selectors that return specific values.",
+              messageId: "destructuringVariable",
+              data: {
+                names: "`a`",
+                variable: "obj",
+                selector: "useSelector(state => state)",
+                paths: "`state.a`",
+              },
             },
             {
-              message:
-                "Avoid destructuring from selectors. Use granular selectors that return specific values.",
+              messageId: "destructuringVariable",
             },
           ],
           output:
@@ -349,101 +715,1230 @@ const userIsFollowingProfile = useSelector((state) => state.notifications?.userI
         // Test for coordinated transformation (destructuring + property accesses)
         {
           code: "const {userSubmissions} = useSelector(state => state); const userEducationLabel = userSubmissions.educationLevelLabel; const userEducationLevel = userSubmissions.educationLevel;",
+          options: [{ fixMode: "all" }],
           errors: [
             {
-              message:
-                "Avoid destructuring from selectors. Use granular selectors that return specific values.",
+              messageId: "destructuring",
+              data: {
+                names: "`userSubmissions`",
+                selector: "useSelector(state => state)",
+                paths: "`state.userSubmissions.educationLevelLabel`, `state.userSubmissions.educationLevel`",
+              },
             },
           ],
           output: " const userEducationLabel = useSelector(state => state.userSubmissions.educationLevelLabel); const userEducationLevel = useSelector(state => state.userSubmissions.educationLevel);",
         },
-      ],
-    });
-
-    // Try to run TypeScript tests
-    try {
-      // Import the TypeScript parser
-      var typescriptParser = require("@typescript-eslint/parser");
-
-      // Create a TypeScript-specific rule tester
-      var tsRuleTester;
-      if (isESLint9Plus) {
-        // ESLint 9+ uses flat config format
-        tsRuleTester = new RuleTester({
-          languageOptions: {
-            ecmaVersion: 2020, // Update to 2020 to support nullish coalescing
-            sourceType: "module",
-            parser: typescriptParser,
-            parserOptions: {
-              ecmaFeatures: {
-                jsx: true,
+        // Member-expression selector hooks match on the property name
+        {
+          code: "const { id, name } = hooks.useAppSelector(state => state.user);",
+          errors: [
+            {
+              messageId: "destructuring",
+              data: {
+                names: "`id`, `name`",
+                selector: "hooks.useAppSelector(state => state.user)",
+                paths: "`state.user.id`, `state.user.name`",
               },
-              // Add TypeScript-specific parser options
-              warnOnUnsupportedTypeScriptVersion: false,
             },
-          },
-        });
-      } else {
-        // ESLint 5-8 uses eslintrc format
-        tsRuleTester = new RuleTester({
-          parser: require.resolve("@typescript-eslint/parser"), // Use require.resolve to get the absolute path
-          parserOptions: {
-            ecmaVersion: 2020, // Update to 2020 to support nullish coalescing
-            sourceType: "module",
-            ecmaFeatures: {
-              jsx: true,
+          ],
+          output:
+            "const id = hooks.useAppSelector(state => state.user.id);\nconst name = hooks.useAppSelector(state => state.user.name);",
+        },
+        // ...or on the full dotted name
+        {
+          code: "const { bears } = useBearStore.getState(state => state);",
+          options: [{ include: ["^useBearStore\\.getState$"] }],
+          errors: [
+            {
+              messageId: "destructuring",
             },
-            // Add TypeScript-specific parser options
-            warnOnUnsupportedTypeScriptVersion: false,
-          },
-        });
-      }
-
-      // Run TypeScript-specific tests
-      tsRuleTester.run("granular-selectors-typescript", rule, {
-        valid: [
-          // Use string literals for TypeScript code to avoid parsing issues in the test file itself
-          {
-            code: "const foo = useAppSelector((state: RootState) => state.foo);",
-          },
-          // Test for fallback logic with TypeScript
-          {
-            code: "const data = useSelector((state: RootState) => state.data || {});",
-          },
-          {
-            code: "const user = useSelector((state: RootState) => state.user ?? null);",
-          },
-        ],
-        invalid: [
-          {
-            code: "const { foo, bar } = useAppSelector((state: RootState) => state);",
-            errors: [
-              {
-                message:
-                  "Avoid destructuring from selectors. Use granular selectors that return specific values.",
-              },
-            ],
-            output:
-              "const foo = useAppSelector((state: RootState) => state.foo);\nconst bar = useAppSelector((state: RootState) => state.bar);",
-          },
-          {
-            code: "const { items, totalCount } = useProductsSelector((state: Store<ProductState>) => state);",
-            errors: [
-              {
-                message:
-                  "Avoid destructuring from selectors. Use granular selectors that return specific values.",
+          ],
+          output: "const bears = useBearStore.getState(state => state.bears);",
+        },
+        // allowWithEquality: only calls without an equality guard are reported
+        {
+          code: "const { a, b } = useSelector(state => state.settings, deepEqual);",
+          options: [{ allowWithEquality: true }],
+          errors: [
+            {
+              messageId: "destructuring",
+            },
+          ],
+          output:
+            "const a = useSelector(state => state.settings.a, deepEqual);\nconst b = useSelector(state => state.settings.b, deepEqual);",
+        },
+        // Wrapper hooks are unwrapped to analyze the inner selector
+        {
+          code: "const { a, b } = useBearSelector(useShallow(state => ({ a: state.a, b: state.b })));",
+          errors: [
+            {
+              messageId: "destructuring",
+              data: {
+                names: "`a`, `b`",
+                selector: "useBearSelector(useShallow(state => ({ a: state.a, b: state.b })))",
+                paths: "`state.a`, `state.b`",
               },
-            ],
-            output:
-              "const items = useProductsSelector((state: Store<ProductState>) => state.items);\nconst totalCount = useProductsSelector((state: Store<ProductState>) => state.totalCount);",
-          },
-          // Test for aliases and default values with TypeScript
-          {
-            code: "const { jobs: jobsList = [], totalCount = 0 } = useSelector((state: RootState) => state.hiringExtensionJobs || {});",
+            },
+          ],
+          output:
+            "const a = useBearSelector(state => state.a);\nconst b = useBearSelector(state => state.b);",
+        },
+        {
+          code: "const { a } = useBearSelector(withDeepCompare(state => state.settings));",
+          options: [{ wrapperHooks: ["withDeepCompare"] }],
+          errors: [
+            {
+              messageId: "destructuring",
+            },
+          ],
+          output: "const a = useBearSelector(state => state.settings.a);",
+        },
+        // fixStrategy "shallow" selects the destructured keys with shallow equality
+        {
+          code: 'import { useSelector } from "react-redux";\nconst { a, b } = useSelector(state => state.settings);',
+          options: [{ fixStrategy: "shallow" }],
+          errors: [
+            {
+              messageId: "destructuring",
+            },
+          ],
+          output:
+            'import { useSelector, shallowEqual } from "react-redux";\nconst { a, b } = useSelector(state => ({ a: state.settings.a, b: state.settings.b }), shallowEqual);',
+        },
+        {
+          code: "import { shallowEqual } from 'react-redux'\nconst { name } = useAppSelector(state => ({ name: state.user.name, age: state.user.age }));",
+          options: [{ fixStrategy: "shallow" }],
+          errors: [
+            {
+              messageId: "destructuring",
+            },
+          ],
+          output:
+            "import { shallowEqual } from 'react-redux'\nconst { name } = useAppSelector(state => ({ name: state.user.name }), shallowEqual);",
+        },
+        {
+          code: 'import { create } from "zustand";\nconst useBearStore = create(() => ({}));\nconst { bears, fish = 0 } = useBearStore(state => state);',
+          options: [{ fixStrategy: "shallow", include: ["useBearStore"] }],
+          errors: [
+            {
+              messageId: "destructuring",
+            },
+          ],
+          output:
+            'import { create } from "zustand";\nimport { useShallow } from "zustand/react/shallow";\nconst useBearStore = create(() => ({}));\nconst { bears, fish = 0 } = useBearStore(useShallow(state => ({ bears: state.bears, fish: state.fish })));',
+        },
+        {
+          code: "const { a } = useSelector(state => state.settings || {});",
+          options: [{ fixStrategy: "shallow", fixMode: "suggest" }],
+          errors: [
+            {
+              messageId: "destructuring",
+              suggestions: [
+                {
+                  messageId: "suggestShallow",
+                  data: { names: "`a`", equality: "shallowEqual" },
+                  output:
+                    'import { shallowEqual } from "react-redux";\nconst { a } = useSelector(state => ({ a: (state.settings || {}).a }), shallowEqual);',
+                },
+              ],
+            },
+          ],
+          output: null,
+        },
+        // Store hooks called without a selector select the whole store
+        {
+          code: "const { bears, increase } = useBearStore();",
+          options: [{ include: ["^useBearStore$"] }],
+          errors: [
+            {
+              messageId: "destructuring",
+              data: {
+                names: "`bears`, `increase`",
+                selector: "useBearStore()",
+                paths: "`s.bears`, `s.increase`",
+              },
+            },
+          ],
+          output:
+            "const bears = useBearStore(s => s.bears);\nconst increase = useBearStore(s => s.increase);",
+        },
+        {
+          code: "const { user: { name } } = stores.useUserStore();",
+          options: [{ include: ["use.*Store"] }],
+          errors: [
+            {
+              messageId: "destructuring",
+            },
+          ],
+          output: "const name = stores.useUserStore(s => s.user.name);",
+        },
+        {
+          code: "const store = useBearStore(); const bears = store.bears; const fish = store.fish;",
+          options: [{ include: ["^useBearStore$"], fixMode: "all" }],
+          errors: [
+            {
+              messageId: "coordinatedAccess",
+            },
+          ],
+          output:
+            "const bears = useBearStore(s => s.bears);\nconst fish = useBearStore(s => s.fish);  ",
+        },
+        {
+          code: 'import { create } from "zustand";\nconst { bears, fish } = useBearStore();',
+          options: [{ include: ["^useBearStore$"], fixStrategy: "shallow" }],
+          errors: [
+            {
+              messageId: "destructuring",
+            },
+          ],
+          output:
+            'import { create } from "zustand";\nimport { useShallow } from "zustand/react/shallow";\nconst { bears, fish } = useBearStore(useShallow(s => ({ bears: s.bears, fish: s.fish })));',
+        },
+        // include entries with selectorArg: the selector is another argument, the others are kept
+        {
+          code: "const { user, settings } = useStore(store, s => s.session);",
+          options: [{ include: [{ name: "^useStore$", selectorArg: 1 }] }],
+          errors: [
+            {
+              messageId: "destructuring",
+              data: {
+                names: "`user`, `settings`",
+                selector: "useStore(store, s => s.session)",
+                paths: "`s.session.user`, `s.session.settings`",
+              },
+            },
+          ],
+          output:
+            "const user = useStore(store, s => s.session.user);\nconst settings = useStore(store, s => s.session.settings);",
+        },
+        {
+          code: "const { name } = useStoreWithEqualityFn(store, state => state.user, Object.is);",
+          options: [{ include: [{ name: "^useStoreWithEqualityFn$", selectorArg: 1 }] }],
+          errors: [
+            {
+              messageId: "destructuring",
+            },
+          ],
+          output: "const name = useStoreWithEqualityFn(store, state => state.user.name, Object.is);",
+        },
+        {
+          code: "const ctx = useSelector(actorRef, s => s.context); const count = ctx.count; const step = ctx.step;",
+          options: [{ include: [{ name: "^useSelector$", selectorArg: 1 }], fixMode: "all" }],
+          errors: [
+            {
+              messageId: "coordinatedAccess",
+            },
+          ],
+          output:
+            "const count = useSelector(actorRef, s => s.context.count);\nconst step = useSelector(actorRef, s => s.context.step);  ",
+        },
+        {
+          code: "const { a } = useTypedSelector(storeKey, state => state.settings); const selectTheme = useAppSelector(state => state);",
+          options: [{ include: [{ name: "^useTypedSelector$", selectorArg: 1 }, "^useAppSelector$"] }],
+          errors: [
+            {
+              messageId: "destructuring",
+            },
+          ],
+          output:
+            "const a = useTypedSelector(storeKey, state => state.settings.a); const selectTheme = useAppSelector(state => state);",
+        },
+        // The store alone selects the whole store
+        {
+          code: "const { bears } = useStore(bearStore);",
+          options: [{ include: [{ name: "^useStore$", selectorArg: 1 }] }],
+          errors: [
+            {
+              messageId: "destructuring",
+            },
+          ],
+          output: "const bears = useStore(bearStore, s => s.bears);",
+        },
+        // importSources follows aliases, namespace imports and barrel files
+        {
+          code: 'import { useSelector as useSel } from "react-redux"; const { a } = useSel(state => state.settings);',
+          options: [{ importSources: { "react-redux": ["useSelector"] } }],
+          errors: [
+            {
+              messageId: "destructuring",
+            },
+          ],
+          output: 'import { useSelector as useSel } from "react-redux"; const a = useSel(state => state.settings.a);',
+        },
+        {
+          code: 'import * as ReactRedux from "react-redux"; const { a } = ReactRedux.useSelector(state => state.settings);',
+          options: [{ importSources: { "react-redux": ["useSelector"] } }],
+          errors: [
+            {
+              messageId: "destructuring",
+            },
+          ],
+          output: 'import * as ReactRedux from "react-redux"; const a = ReactRedux.useSelector(state => state.settings.a);',
+        },
+        {
+          code: 'import { useAppSelector } from "../store"; const { a } = useAppSelector(state => state.settings);',
+          filename: componentFilename,
+          options: [{ importSources: { [storeHooksSource]: ["useAppSelector"] } }],
+          errors: [
+            {
+              messageId: "destructuring",
+            },
+          ],
+          output: 'import { useAppSelector } from "../store"; const a = useAppSelector(state => state.settings.a);',
+        },
+        {
+          code: 'import { useReduxSelector } from "../store"; const { a } = useReduxSelector(state => state.settings);',
+          filename: componentFilename,
+          options: [{ importSources: { "react-redux": ["useSelector"] } }],
+          errors: [
+            {
+              messageId: "destructuring",
+            },
+          ],
+          output: 'import { useReduxSelector } from "../store"; const a = useReduxSelector(state => state.settings.a);',
+        },
+        // importSources keeps the selector position a preset's include entry gives the hook
+        {
+          code: 'import { useStore } from "zustand"; const { bears } = useStore(bearStore, s => s.forest);',
+          options: [{ importSources: { zustand: ["useStore"] }, preset: "zustand" }],
+          errors: [
+            {
+              messageId: "destructuring",
+              data: {
+                names: "`bears`",
+                selector: "useStore(bearStore, s => s.forest)",
+                paths: "`s.forest.bears`",
+              },
+            },
+          ],
+          output: 'import { useStore } from "zustand"; const bears = useStore(bearStore, s => s.forest.bears);',
+        },
+        {
+          code: 'import { useStore as useBoundStore } from "zustand"; const { bears } = useBoundStore(bearStore, s => s.forest);',
+          options: [{ importSources: { zustand: ["useStore"] }, preset: "zustand" }],
+          errors: [{ messageId: "destructuring" }],
+          output: 'import { useStore as useBoundStore } from "zustand"; const bears = useBoundStore(bearStore, s => s.forest.bears);',
+        },
+        {
+          code: 'import { useSelector } from "@xstate/react"; const { count } = useSelector(actorRef, snapshot => snapshot.context);',
+          options: [{ importSources: { "@xstate/react": ["useSelector"] }, preset: "xstate" }],
+          errors: [{ messageId: "destructuring" }],
+          output: 'import { useSelector } from "@xstate/react"; const count = useSelector(actorRef, snapshot => snapshot.context.count);',
+        },
+        // Zustand store hooks created with create() are detected without include patterns
+        {
+          code: 'import { create } from "zustand";\nconst useCart = create(() => ({ items: [], total: 0 }));\nconst { items, total } = useCart();',
+          errors: [
+            {
+              messageId: "destructuring",
+            },
+          ],
+          output:
+            'import { create } from "zustand";\nconst useCart = create(() => ({ items: [], total: 0 }));\nconst items = useCart(s => s.items);\nconst total = useCart(s => s.total);',
+        },
+        {
+          code: 'import { create as createStore } from "zustand";\nconst useAuth = createStore()(() => ({}));\nconst { user } = useAuth(state => state.session);',
+          errors: [
+            {
+              messageId: "destructuring",
+            },
+          ],
+          output:
+            'import { create as createStore } from "zustand";\nconst useAuth = createStore()(() => ({}));\nconst user = useAuth(state => state.session.user);',
+        },
+        {
+          code: 'import { useCart } from "../stores/cart";\nconst { items } = useCart();',
+          filename: componentFilename,
+          options: [{ resolveImports: true }],
+          errors: [
+            {
+              messageId: "destructuring",
+            },
+          ],
+          output: 'import { useCart } from "../stores/cart";\nconst items = useCart(s => s.items);',
+        },
+        {
+          code: 'import { usePrefs } from "../stores";\nconst { theme } = usePrefs(state => state.settings);',
+          filename: componentFilename,
+          options: [{ resolveImports: true }],
+          errors: [
+            {
+              messageId: "destructuring",
+            },
+          ],
+          output: 'import { usePrefs } from "../stores";\nconst theme = usePrefs(state => state.settings.theme);',
+        },
+        // Falls back to splitting when the helper name is taken by another binding
+        {
+          code: "const shallowEqual = (a, b) => a === b;\nconst { a } = useSelector(state => state.settings);",
+          options: [{ fixStrategy: "shallow" }],
+          errors: [
+            {
+              messageId: "destructuring",
+            },
+          ],
+          output:
+            "const shallowEqual = (a, b) => a === b;\nconst a = useSelector(state => state.settings.a);",
+        },
+        // Named selector references are resolved to their local definition
+        {
+          code: "const selectUser = (state) => state.user; const { name, email } = useSelector(selectUser);",
+          errors: [
+            {
+              messageId: "destructuring",
+              data: {
+                names: "`name`, `email`",
+                selector: "useSelector(selectUser)",
+                paths: "`state.user.name`, `state.user.email`",
+              },
+            },
+          ],
+          output:
+            "const selectUser = (state) => state.user; const name = useSelector(state => state.user.name);\nconst email = useSelector(state => state.user.email);",
+        },
+        {
+          code: "function selectUser(state) { return state.user; } const { name } = useSelector(selectUser);",
+          errors: [
+            {
+              messageId: "destructuring",
+            },
+          ],
+          output:
+            "function selectUser(state) { return state.user; } const name = useSelector(state => state.user.name);",
+        },
+        {
+          code: "const selectProfile = (state) => ({ name: state.profile.name, uuid: state.profile.uuid }); const { name, uuid } = useSelector(selectProfile);",
+          errors: [
+            {
+              messageId: "destructuring",
+            },
+          ],
+          output:
+            "const selectProfile = (state) => ({ name: state.profile.name, uuid: state.profile.uuid }); const name = useSelector((state) => state.profile.name);\nconst uuid = useSelector((state) => state.profile.uuid);",
+        },
+        // Referenced selectors whose body can't be analyzed are reported without a fix
+        {
+          code: "const selectDone = (state) => state.todos.filter(todo => todo.done); const { length } = useSelector(selectDone);",
+          errors: [
+            {
+              messageId: "complexSelector",
+              data: {
+                names: "`length`",
+                selector: "useSelector(selectDone)",
+              },
+            },
+          ],
+          output: null,
+        },
+        // Inline selectors that compute their result are reported without a fix, which would drop the computation
+        {
+          code: "const { items } = useSelector(s => compute(s));",
+          errors: [
+            {
+              messageId: "complexSelector",
+              data: {
+                names: "`items`",
+                selector: "useSelector(s => compute(s))",
+              },
+              suggestions: [],
+            },
+          ],
+          output: null,
+        },
+        {
+          code: "const { id } = useSelector(s => s.list.find(item => item.active));",
+          errors: [{ messageId: "complexSelector", suggestions: [] }],
+          output: null,
+        },
+        {
+          code: "const { items } = useSelector(s => { const c = compute(s); return c; });",
+          errors: [{ messageId: "complexSelector", suggestions: [] }],
+          output: null,
+        },
+        {
+          code: "const { items } = useSelector(s => { const cart = s.cart; if (!cart) return null; return cart; });",
+          errors: [{ messageId: "complexSelector", suggestions: [] }],
+          output: null,
+        },
+        {
+          code: "const result = useSelector(s => compute(s)); const items = result.items;",
+          errors: [{ messageId: "complexSelector", suggestions: [] }],
+          output: null,
+        },
+        {
+          code: "var result = useSelector(function (s) { return s.count + 1; }); var label = result.label;",
+          errors: [{ messageId: "complexSelector", suggestions: [] }],
+          output: null,
+        },
+        // Object literals returned from a block keep each value as written, like an arrow returning one
+        {
+          code: "const { a } = useSelector(s => { return { a: compute(s) || 0 }; });",
+          errors: [{ messageId: "destructuring" }],
+          output: "const a = useSelector(s => compute(s) || 0);",
+        },
+        {
+          code: "const { a } = useSelector(function (s) { return { a: s.x ?? 0 }; });",
+          errors: [{ messageId: "destructuring" }],
+          output: "const a = useSelector(s => s.x ?? 0);",
+        },
+        {
+          code: "var o = useSelector(function (s) { return { a: s.x ?? 0 }; }); var a = o.a;",
+          options: [{ fixMode: "all" }],
+          errors: [
+            {
+              messageId: "coordinatedAccess",
+              data: {
+                names: "`a`",
+                variable: "o",
+                selector: "useSelector(function (s) { return { a: s.x ?? 0 }; })",
+                paths: "`s.x ?? 0`",
+              },
+            },
+          ],
+          output: "var a = useSelector(function(s) { return s.x ?? 0; }); ",
+        },
+        {
+          code: "var o = useSelector(function (s) { return { a: s.x }; }); var b = o.b;",
+          errors: [{ messageId: "complexSelector", suggestions: [] }],
+          output: null,
+        },
+        // Rest elements need the whole selected object, so they are reported without a fix
+        {
+          code: "const { id, ...rest } = useSelector(state => state.user);",
+          errors: [
+            {
+              messageId: "unfixableDestructuring",
+              data: {
+                names: "`id`, `rest`",
+                selector: "useSelector(state => state.user)",
+                reason: "`...rest` needs the whole selected object",
+              },
+            },
+          ],
+          output: null,
+        },
+        {
+          code: "const { profile: { name, ...contact } } = useSelector(state => state.user);",
+          errors: [
+            {
+              messageId: "unfixableDestructuring",
+              data: {
+                names: "`name`, `contact`",
+                selector: "useSelector(state => state.user)",
+                reason: "`...contact` needs the whole selected object",
+              },
+            },
+          ],
+          output: null,
+        },
+        {
+          code: "const user = useSelector(state => state.user); const { id, ...rest } = user;",
+          errors: [
+            {
+              messageId: "unfixableDestructuring",
+              data: {
+                names: "`id`, `rest`",
+                selector: "useSelector(state => state.user)",
+                reason: "`...rest` needs the whole selected object",
+              },
+            },
+          ],
+          output: null,
+        },
+        // Nested patterns with a `{}` default read through optional chaining
+        {
+          code: "const { profile: { name } = {} } = useSelector(state => state.user);",
+          errors: [
+            {
+              messageId: "destructuring",
+              data: {
+                names: "`name`",
+                selector: "useSelector(state => state.user)",
+                paths: "`state.user.profile?.name`",
+              },
+            },
+          ],
+          output: "const name = useSelector(state => state.user.profile?.name);",
+        },
+        {
+          code: "const { profile: { name = 'Guest' } = {}, id } = useSelector(state => state.user);",
+          options: [{ fixMode: "all" }],
+          errors: [
+            {
+              messageId: "destructuring",
+            },
+          ],
+          output:
+            "const name = useSelector(state => state.user.profile?.name) || 'Guest';\nconst id = useSelector(state => state.user.id);",
+        },
+        {
+          code: "const { profile: { name } = defaultProfile } = useSelector(state => state.user);",
+          errors: [
+            {
+              messageId: "unfixableDestructuring",
+              data: {
+                names: "`name`",
+                selector: "useSelector(state => state.user)",
+                reason: "the default for `profile` is not `{}`, so it can't become optional chaining",
+              },
+            },
+          ],
+          output: null,
+        },
+        // Array destructuring selects each element by index
+        {
+          code: "const [first, second] = useSelector(state => state.queue);",
+          errors: [
+            {
+              messageId: "destructuring",
+              data: {
+                names: "`first`, `second`",
+                selector: "useSelector(state => state.queue)",
+                paths: "`state.queue[0]`, `state.queue[1]`",
+              },
+            },
+          ],
+          output:
+            "const first = useSelector(state => state.queue[0]);\nconst second = useSelector(state => state.queue[1]);",
+        },
+        // Tuple literals map each element to its own selector
+        {
+          code: "const [bears, fish] = useBearStore(state => [state.bears, state.fish]);",
+          options: [{ include: ["^useBearStore$"] }],
+          errors: [
+            {
+              messageId: "destructuring",
+              data: {
+                names: "`bears`, `fish`",
+                selector: "useBearStore(state => [state.bears, state.fish])",
+                paths: "`state.bears`, `state.fish`",
+              },
+            },
+          ],
+          output:
+            "const bears = useBearStore(state => state.bears);\nconst fish = useBearStore(state => state.fish);",
+        },
+        {
+          code: "const [id, , total = 0] = useSelector(state => { return [state.cart.id, state.cart.items, state.cart.total]; });",
+          options: [{ fixMode: "all" }],
+          errors: [{ messageId: "destructuring" }],
+          output:
+            "const id = useSelector(state => state.cart.id);\nconst total = useSelector(state => state.cart.total) || 0;",
+        },
+        {
+          code: "const queue = useSelector(state => state.queue); const [next] = queue;",
+          errors: [{ messageId: "destructuringVariable" }],
+          output:
+            "const queue = useSelector(state => state.queue); const next = useSelector(state => state.queue[0]);",
+        },
+        // Array and object patterns nest in each other
+        {
+          code: "const { items: [first], owner: [name] = [] } = useSelector(state => state.cart);",
+          errors: [
+            {
+              messageId: "destructuring",
+              data: {
+                names: "`first`, `name`",
+                selector: "useSelector(state => state.cart)",
+                paths: "`state.cart.items[0]`, `state.cart.owner?.[0]`",
+              },
+            },
+          ],
+          output:
+            "const first = useSelector(state => state.cart.items[0]);\nconst name = useSelector(state => state.cart.owner?.[0]);",
+        },
+        {
+          code: "const [{ id }] = useSelector(state => [state.current]);",
+          errors: [{ messageId: "destructuring" }],
+          output: "const id = useSelector(state => state.current.id);",
+        },
+        // An index past the end of the tuple is `undefined`, so it can't be selected from the state
+        {
+          code: "const [a, b] = useSelector(s => [s.x]);",
+          errors: [
+            {
+              messageId: "complexSelector",
+              data: { names: "`a`, `b`", selector: "useSelector(s => [s.x])" },
+            },
+          ],
+          output: null,
+        },
+        {
+          code: "const [first, ...others] = useSelector(state => state.queue);",
+          errors: [
+            {
+              messageId: "unfixableDestructuring",
+              data: {
+                names: "`first`, `others`",
+                selector: "useSelector(state => state.queue)",
+                reason: "`...others` needs the whole selected array",
+              },
+            },
+          ],
+          output: null,
+        },
+        // Destructuring assignments assign each value from its own selector
+        {
+          code: "let id, name; ({ id, name } = useSelector(state => state.user));",
+          errors: [
+            {
+              messageId: "destructuring",
+              data: {
+                names: "`id`, `name`",
+                selector: "useSelector(state => state.user)",
+                paths: "`state.user.id`, `state.user.name`",
+              },
+            },
+          ],
+          output:
+            "let id, name; id = useSelector(state => state.user.id);\nname = useSelector(state => state.user.name);",
+        },
+        // Bodies without braces get a block, so every assignment stays in the body
+        {
+          code: "let a, b; if (x) ({ a, b } = useSelector(s => s.user));",
+          errors: [{ messageId: "destructuring" }],
+          output: "let a, b; if (x) { a = useSelector(s => s.user.a);\nb = useSelector(s => s.user.b); }",
+        },
+        {
+          code: "let a, b; for (;;) ({ a, b } = useSelector(s => s.user));",
+          errors: [{ messageId: "destructuring" }],
+          output: "let a, b; for (;;) { a = useSelector(s => s.user.a);\nb = useSelector(s => s.user.b); }",
+        },
+        {
+          code: "let a, b; while (x) ({ a, b } = useSelector(s => s.user));",
+          errors: [{ messageId: "destructuring" }],
+          output: "let a, b; while (x) { a = useSelector(s => s.user.a);\nb = useSelector(s => s.user.b); }",
+        },
+        {
+          code: "let first; [first] = useSelector(state => state.queue);",
+          errors: [{ messageId: "destructuring" }],
+          output: "let first; first = useSelector(state => state.queue[0]);",
+        },
+        {
+          code: "const form = {}; ({ name: form.name } = useSelector(state => state.user));",
+          errors: [
+            {
+              messageId: "destructuring",
+              data: {
+                names: "`form.name`",
+                selector: "useSelector(state => state.user)",
+                paths: "`state.user.name`",
+              },
+            },
+          ],
+          output: "const form = {}; form.name = useSelector(state => state.user.name);",
+        },
+        {
+          code: "let id, rest; ({ id, ...rest } = useSelector(state => state.user));",
+          errors: [{ messageId: "unfixableDestructuring" }],
+          output: null,
+        },
+        // Loops over a selected array select the destructured key of each item with shallow equality
+        {
+          code: 'import { useSelector } from "react-redux";\nfor (const { id } of useSelector(state => state.rows)) {}',
+          errors: [
+            {
+              messageId: "loopDestructuring",
+              data: {
+                names: "`id`",
+                selector: "useSelector(state => state.rows)",
+                paths: "`state.rows.map(item => item.id)`",
+              },
+            },
+          ],
+          output:
+            'import { useSelector, shallowEqual } from "react-redux";\nfor (const id of useSelector(state => state.rows.map(item => item.id), shallowEqual)) {}',
+        },
+        {
+          code: 'import { create } from "zustand";\nconst useTableStore = create(() => ({ entries: [] }));\nfor (const [key] of useTableStore(state => state.entries)) {}',
+          errors: [{ messageId: "loopDestructuring" }],
+          output:
+            'import { create } from "zustand";\nimport { useShallow } from "zustand/react/shallow";\nconst useTableStore = create(() => ({ entries: [] }));\nfor (const key of useTableStore(useShallow(state => state.entries.map(item => item[0])))) {}',
+        },
+        // Several keys would lose which values belong to the same item, so there is no fix
+        {
+          code: "for (const { id, name } of useSelector(state => state.rows)) {}",
+          errors: [
+            {
+              messageId: "loopDestructuring",
+              data: {
+                names: "`id`, `name`",
+                selector: "useSelector(state => state.rows)",
+                paths: "`state.rows.map(item => item.id)`, `state.rows.map(item => item.name)`",
+              },
+            },
+          ],
+          output: null,
+        },
+        // Results passed into a local function's destructured parameter are reported without a fix
+        {
+          code: "function renderRow({ id, label }) { return id + label; } renderRow(useSelector(state => state.row));",
+          errors: [
+            {
+              messageId: "parameterDestructuring",
+              data: {
+                callee: "renderRow",
+                names: "`id`, `label`",
+                selector: "useSelector(state => state.row)",
+                paths: "`state.row.id`, `state.row.label`",
+              },
+            },
+          ],
+          output: null,
+        },
+        {
+          code: "const renderCell = (column, [first] = []) => column + first; renderCell(0, useSelector(state => state.cells));",
+          errors: [
+            {
+              messageId: "parameterDestructuring",
+              data: {
+                callee: "renderCell",
+                names: "`first`",
+                selector: "useSelector(state => state.cells)",
+                paths: "`state.cells[0]`",
+              },
+            },
+          ],
+          output: null,
+        },
+        // Destructured parameters and local aliases are read as paths from the state
+        {
+          code: "const { name, id } = useSelector(({ user }) => user);",
+          errors: [
+            {
+              messageId: "destructuring",
+              data: {
+                names: "`name`, `id`",
+                selector: "useSelector(({ user }) => user)",
+                paths: "`state.user.name`, `state.user.id`",
+              },
+            },
+          ],
+          output: "const name = useSelector(state => state.user.name);\nconst id = useSelector(state => state.user.id);",
+        },
+        {
+          code: "const { length } = useSelector(({ entities: { todos } }) => todos);",
+          errors: [{ messageId: "destructuring" }],
+          output: "const length = useSelector(state => state.entities.todos.length);",
+        },
+        {
+          code: "const { items } = useSelector(s => { const cart = s.cart; return cart; });",
+          errors: [{ messageId: "destructuring" }],
+          output: "const items = useSelector(s => s.cart.items);",
+        },
+        {
+          code: "const { total } = useSelector(function (state) { const { shop } = state; const cart = shop.cart; return cart; });",
+          errors: [{ messageId: "destructuring" }],
+          output: "const total = useSelector(state => state.shop.cart.total);",
+        },
+        {
+          code: "const selectUser = ({ user }) => user; const { name } = useSelector(selectUser);",
+          errors: [{ messageId: "destructuring" }],
+          output: "const selectUser = ({ user }) => user; const name = useSelector(state => state.user.name);",
+        },
+        {
+          code: "const user = useSelector(({ session: { user } }) => user); const name = user.name;",
+          errors: [
+            {
+              messageId: "coordinatedAccess",
+              suggestions: [
+                {
+                  messageId: "suggestUnsafeGranular",
+                  data: {
+                    names: "`name`",
+                    changes: "removes the original declaration and rewrites the declarations that read from it",
+                  },
+                  output: "const name = useSelector(state => state.session.user.name); ",
+                },
+              ],
+            },
+          ],
+        },
+        // Keys that aren't identifiers are read with bracket notation, and computed keys are kept
+        {
+          code: 'const { "first-name": firstName, 0: first } = useSelector(state => state.user);',
+          errors: [
+            {
+              messageId: "destructuring",
+              data: {
+                names: "`firstName`, `first`",
+                selector: "useSelector(state => state.user)",
+                paths: '`state.user["first-name"]`, `state.user[0]`',
+              },
+            },
+          ],
+          output:
+            'const firstName = useSelector(state => state.user["first-name"]);\nconst first = useSelector(state => state.user[0]);',
+        },
+        {
+          code: 'const { "home address": { city } } = useSelector(state => state.user);',
+          errors: [{ messageId: "destructuring" }],
+          output: 'const city = useSelector(state => state.user["home address"].city);',
+        },
+        {
+          code: "function Row({ field }) { const { [field]: value } = useSelector(state => state.row); return value; }",
+          errors: [{ messageId: "destructuring" }],
+          output: "function Row({ field }) { const value = useSelector(state => state.row[field]); return value; }",
+        },
+        // Computed keys that would read the selector's parameter or run again on every call are left unfixed
+        {
+          code: "const { [s]: value } = useSelector(s => s.row);",
+          errors: [
+            {
+              messageId: "unfixableDestructuring",
+              data: {
+                names: "`value`",
+                selector: "useSelector(s => s.row)",
+                reason: "the computed key `[s]` would be evaluated inside the selector",
+              },
+            },
+          ],
+          output: null,
+        },
+        {
+          code: "const { [state]: value } = useSelector(({ row }) => row);",
+          errors: [{ messageId: "unfixableDestructuring" }],
+          output: null,
+        },
+        {
+          code: "let i = 0; const { [i++]: value } = useSelector(state => state.row);",
+          errors: [{ messageId: "unfixableDestructuring" }],
+          output: null,
+        },
+        {
+          code: "const { row } = useSelector(s => s.table); const a = row.a; const b = row[s];",
+          errors: [{ messageId: "unfixableDestructuring" }],
+          output: null,
+        },
+        {
+          code: "var row = useSelector(function(s) { return s.row; }); var value = row[s];",
+          options: [{ fixMode: "all" }],
+          errors: [{ messageId: "coordinatedAccess" }],
+          output: null,
+        },
+        {
+          code: "for (const { [item]: value } of useSelector(state => state.rows)) {}",
+          errors: [{ messageId: "loopDestructuring" }],
+          output: null,
+        },
+        // Bracket notation and optional chaining in the selector carry through
+        {
+          code: 'const { name } = useSelector(state => state["user"]);',
+          errors: [{ messageId: "destructuring" }],
+          output: "const name = useSelector(state => state.user.name);",
+        },
+        {
+          code: 'const { name } = useSelector(state => state["current-user"]);',
+          errors: [{ messageId: "destructuring" }],
+          output: 'const name = useSelector(state => state["current-user"].name);',
+        },
+        {
+          code: "const { name } = useSelector(state => state?.user);",
+          errors: [
+            {
+              messageId: "destructuring",
+              data: {
+                names: "`name`",
+                selector: "useSelector(state => state?.user)",
+                paths: "`state?.user.name`",
+              },
+            },
+          ],
+          output: "const name = useSelector(state => state?.user.name);",
+        },
+        {
+          code: "const { city } = useSelector(function (state) { return state.user?.address; });",
+          errors: [{ messageId: "destructuring" }],
+          output: "const city = useSelector(state => state.user?.address.city);",
+        },
+        {
+          code: 'const user = useSelector(state => state.users?.current); const first = user["first-name"]; const id = user.id;',
+          errors: [
+            {
+              messageId: "coordinatedAccess",
+              data: {
+                names: "`first-name`, `id`",
+                variable: "user",
+                selector: "useSelector(state => state.users?.current)",
+                paths: '`state.users?.current["first-name"]`, `state.users?.current.id`',
+              },
+              suggestions: [
+                {
+                  messageId: "suggestUnsafeGranular",
+                  data: {
+                    names: "`first`, `id`",
+                    changes: "removes the original declaration and rewrites the declarations that read from it",
+                  },
+                  output:
+                    'const first = useSelector(state => state.users?.current["first-name"]);\nconst id = useSelector(state => state.users?.current.id);  ',
+                },
+              ],
+            },
+          ],
+        },
+        // resolveImports: selectors imported by relative path
+        {
+          code: 'import { selectCart } from "../features/cart/selectors"; const { items, total } = useSelector(selectCart);',
+          filename: componentFilename,
+          options: [{ resolveImports: true }],
+          errors: [
+            {
+              messageId: "destructuring",
+              data: {
+                names: "`items`, `total`",
+                selector: "useSelector(selectCart)",
+                paths: "`state.cart.items`, `state.cart.total`",
+              },
+              suggestions: [
+                {
+                  messageId: "suggestUnsafeGranular",
+                  data: {
+                    names: "`items`, `total`",
+                    changes: "inlines the imported selector `selectCart`",
+                  },
+                  output:
+                    'import { selectCart } from "../features/cart/selectors"; const items = useSelector(state => state.cart.items);\nconst total = useSelector(state => state.cart.total);',
+                },
+              ],
+            },
+          ],
+          output: null,
+        },
+        // resolveImports: tsconfig path aliases, barrel files and default re-exports
+        {
+          code: 'import { selectCartTotals, selectCheckout } from "@features/cart"; const { total } = useSelector(selectCartTotals); const { step } = useSelector(selectCheckout);',
+          filename: componentFilename,
+          options: [{ resolveImports: true, fixMode: "all" }],
+          errors: [
+            {
+              messageId: "destructuring",
+            },
+            {
+              messageId: "destructuring",
+            },
+          ],
+          output:
+            'import { selectCartTotals, selectCheckout } from "@features/cart"; const total = useSelector(state => state.cart.total); const step = useSelector(state => state.checkout.step);',
+        },
+        {
+          code: 'import { selectVisibleItems } from "@features/cart/selectors"; const { length } = useSelector(selectVisibleItems);',
+          filename: componentFilename,
+          options: [{ resolveImports: true }],
+          errors: [
+            {
+              messageId: "complexSelector",
+            },
+          ],
+          output: null,
+        },
+        // fixMode "safe" (default): default values change semantics, so the fix is only suggested
+        {
+          code: "const { name = 'Guest' } = useSelector(state => state.user);",
+          errors: [
+            {
+              messageId: "destructuring",
+              suggestions: [
+                {
+                  messageId: "suggestUnsafeGranular",
+                  data: {
+                    names: "`name`",
+                    changes: "default values become `||` fallbacks, which also replace `0`, `\"\"` and `false`",
+                  },
+                  output: "const name = useSelector(state => state.user.name) || 'Guest';",
+                },
+              ],
+            },
+          ],
+          output: null,
+        },
+        // fixMode "safe" (default): the coordinated transformation touches other statements
+        {
+          code: "const {user} = useSelector(state => state); const name = user.name;",
+          errors: [
+            {
+              messageId: "destructuring",
+              suggestions: [
+                {
+                  messageId: "suggestUnsafeGranular",
+                  data: {
+                    names: "`name`",
+                    changes: "removes the original declaration and rewrites the declarations that read from it",
+                  },
+                  output: " const name = useSelector(state => state.user.name);",
+                },
+              ],
+            },
+          ],
+          output: null,
+        },
+        // fixMode "safe" (default): the fix would call the hook inside a callback
+        {
+          code: "const obj = useSelector(state => state); useEffect(() => { const { a } = obj; });",
+          errors: [
+            {
+              messageId: "destructuringVariable",
+              suggestions: [
+                {
+                  messageId: "suggestUnsafeGranular",
+                  data: {
+                    names: "`a`",
+                    changes: "moves a selector hook call into a different block or function",
+                  },
+                  output: "const obj = useSelector(state => state); useEffect(() => { const a = useSelector(state => state.a); });",
+                },
+              ],
+            },
+          ],
+          output: null,
+        },
+        {
+          code: "var obj = useSelector(function(state) { return state.user; }); function f() { var name = obj.name; }",
+          errors: [
+            {
+              messageId: "coordinatedAccess",
+              suggestions: [
+                {
+                  messageId: "suggestUnsafeGranular",
+                  data: {
+                    names: "`name`",
+                    changes:
+                      "removes the original declaration and rewrites the declarations that read from it; moves a selector hook call into a different block or function",
+                  },
+                  output: "var name = useSelector(function(state) { return state.user.name; }); function f() {  }",
+                },
+              ],
+            },
+          ],
+          output: null,
+        },
+        // fixMode "suggest": even safe fixes are only suggested
+        {
+          code: "const { name } = useSelector(state => state.user);",
+          options: [{ fixMode: "suggest" }],
+          errors: [
+            {
+              messageId: "destructuring",
+              suggestions: [
+                {
+                  messageId: "suggestGranular",
+                  data: { names: "`name`" },
+                  output: "const name = useSelector(state => state.user.name);",
+                },
+              ],
+            },
+          ],
+          output: null,
+        },
+        // fixMode "none": report only
+        {
+          code: "const { name } = useSelector(state => state.user);",
+          options: [{ fixMode: "none" }],
+          errors: [
+            {
+              messageId: "destructuring",
+              suggestions: [],
+            },
+          ],
+          output: null,
+        },
+      ],
+    });
+
+    // Try to run TypeScript tests
+    try {
+      // Import the TypeScript parser
+      var typescriptParser = require("@typescript-eslint/parser");
+
+      // Create a TypeScript-specific rule tester
+      var tsRuleTester;
+      if (isESLint9Plus) {
+        // ESLint 9+ uses flat config format
+        tsRuleTester = new RuleTester({
+          languageOptions: {
+            ecmaVersion: 2020, // Update to 2020 to support nullish coalescing
+            sourceType: "module",
+            parser: typescriptParser,
+            parserOptions: {
+              ecmaFeatures: {
+                jsx: true,
+              },
+              // Add TypeScript-specific parser options
+              warnOnUnsupportedTypeScriptVersion: false,
+            },
+          },
+        });
+      } else {
+        // ESLint 5-8 uses eslintrc format
+        tsRuleTester = new RuleTester({
+          parser: require.resolve("@typescript-eslint/parser"), // Use require.resolve to get the absolute path
+          parserOptions: {
+            ecmaVersion: 2020, // Update to 2020 to support nullish coalescing
+            sourceType: "module",
+            ecmaFeatures: {
+              jsx: true,
+            },
+            // Add TypeScript-specific parser options
+            warnOnUnsupportedTypeScriptVersion: false,
+          },
+        });
+      }
+
+      // Run TypeScript-specific tests
+      tsRuleTester.run("granular-selectors-typescript", rule, {
+        valid: [
+          // Use string literals for TypeScript code to avoid parsing issues in the test file itself
+          {
+            code: "const foo = useAppSelector((state: RootState) => state.foo);",
+          },
+          // Test for fallback logic with TypeScript
+          {
+            code: "const data = useSelector((state: RootState) => state.data || {});",
+          },
+          {
+            code: "const user = useSelector((state: RootState) => state.user ?? null);",
+          },
+        ],
+        invalid: [
+          // resolveImports: TypeScript selector modules keep their parameter type
+          {
+            code: 'import { selectUser } from "@features/user/selectors"; const { name } = useSelector(selectUser);',
+            filename: path.join(resolveImportsFixtures, "components/Profile.tsx"),
+            options: [{ resolveImports: true, fixMode: "all" }],
+            errors: [
+              {
+                messageId: "destructuring",
+              },
+            ],
+            output:
+              'import { selectUser } from "@features/user/selectors"; const name = useSelector((state: RootState) => state.user.name);',
+          },
+          {
+            code: "const { foo, bar } = useAppSelector((state: RootState) => state);",
+            errors: [
+              {
+                messageId: "destructuring",
+              },
+            ],
+            output:
+              "const foo = useAppSelector((state: RootState) => state.foo);\nconst bar = useAppSelector((state: RootState) => state.bar);",
+          },
+          {
+            code: "const { items, totalCount } = useProductsSelector((state: Store<ProductState>) => state);",
+            errors: [
+              {
+                messageId: "destructuring",
+              },
+            ],
+            output:
+              "const items = useProductsSelector((state: Store<ProductState>) => state.items);\nconst totalCount = useProductsSelector((state: Store<ProductState>) => state.totalCount);",
+          },
+          // Test for aliases and default values with TypeScript
+          {
+            code: "const { jobs: jobsList = [], totalCount = 0 } = useSelector((state: RootState) => state.hiringExtensionJobs || {});",
+            options: [{ fixMode: "all" }],
             errors: [
               {
-                message:
-                  "Avoid destructuring from selectors. Use granular selectors that return specific values.",
+                messageId: "destructuring",
               },
             ],
             output:
@@ -452,22 +1947,116 @@ const userIsFollowingProfile = useSelector((state) => state.notifications?.userI
           // Test for fallback logic with TypeScript
           {
             code: "const { items, count } = useSelector((state: RootState) => state.data || {});",
+            options: [{ fixMode: "all" }],
             errors: [
               {
-                message:
-                  "Avoid destructuring from selectors. Use granular selectors that return specific values.",
+                messageId: "destructuring",
               },
             ],
             output:
               "const items = useSelector((state: RootState) => state.data.items || {});\nconst count = useSelector((state: RootState) => state.data.count || {});",
           },
+          // Type arguments: the state type is kept and the selected type is narrowed to each value
+          {
+            code: "const { id, name } = useSelector<RootState, User>(s => s.user);",
+            errors: [{ messageId: "destructuring" }],
+            output:
+              'const id = useSelector<RootState, User["id"]>(s => s.user.id);\nconst name = useSelector<RootState, User["name"]>(s => s.user.name);',
+          },
+          {
+            code: "const { profile: { name } } = useSelector<RootState, User>(s => s.user);",
+            errors: [{ messageId: "destructuring" }],
+            output:
+              'const name = useSelector<RootState, User["profile"]["name"]>(s => s.user.profile.name);',
+          },
+          {
+            code: "const [first] = useSelector<RootState, Job[]>(s => s.queue);",
+            errors: [{ messageId: "destructuring" }],
+            output: "const first = useSelector<RootState, Job[][0]>(s => s.queue[0]);",
+          },
+          // An optional chain may be undefined, so its type can't be indexed from the selected type
+          {
+            code: "const { profile: { name } = {} } = useSelector<RootState, User>(s => s.user);",
+            errors: [{ messageId: "destructuring" }],
+            output: "const name = useSelector((s: RootState) => s.user.profile?.name);",
+          },
+          {
+            code: 'const { "first-name": firstName } = useSelector<RootState, User>(s => s.user);',
+            errors: [{ messageId: "destructuring" }],
+            output: 'const firstName = useSelector<RootState, User["first-name"]>(s => s.user["first-name"]);',
+          },
+          // Nullable selected types can't be indexed either
+          {
+            code: "const { id } = useSelector<RootState, User | null>(s => s.user);",
+            errors: [{ messageId: "destructuring" }],
+            output: "const id = useSelector((s: RootState) => s.user.id);",
+          },
+          {
+            code: "const { id } = useAppSelector<undefined | User>(s => s.user);",
+            errors: [{ messageId: "destructuring" }],
+            output: "const id = useAppSelector(s => s.user.id);",
+          },
+          // Computed keys and optional chains can't index the selected type
+          {
+            code: "const { [field]: value } = useSelector<RootState, Row>(s => s.row);",
+            errors: [{ messageId: "destructuring" }],
+            output: "const value = useSelector((s: RootState) => s.row[field]);",
+          },
+          {
+            code: "const { name } = useSelector<RootState, User>(s => s.users?.current);",
+            errors: [{ messageId: "destructuring" }],
+            output: "const name = useSelector((s: RootState) => s.users?.current.name);",
+          },
+          {
+            code: "const { name } = useSelector(({ user }: RootState) => user);",
+            errors: [{ messageId: "destructuring" }],
+            output: "const name = useSelector((state: RootState) => state.user.name);",
+          },
+          {
+            code: "const { bears } = useBearStore<BearState>(s => s);",
+            options: [{ include: ["^useBearStore$"] }],
+            errors: [{ messageId: "destructuring" }],
+            output: 'const bears = useBearStore<BearState["bears"]>(s => s.bears);',
+          },
+          {
+            code: "const { id } = useSelector<RootState, User & Tracked>(s => s.user);",
+            errors: [{ messageId: "destructuring" }],
+            output: 'const id = useSelector<RootState, (User & Tracked)["id"]>(s => s.user.id);',
+          },
+          {
+            code: "const user = useSelector<RootState, User>(s => s.user);\nconst { name } = user;",
+            errors: [{ messageId: "destructuringVariable" }],
+            output:
+              'const user = useSelector<RootState, User>(s => s.user);\nconst name = useSelector<RootState, User["name"]>(s => s.user.name);',
+          },
+          // A fallback changes the selected type, so the state type moves to the parameter instead
+          {
+            code: "const { items } = useSelector<RootState, Data>(s => s.data || {});",
+            options: [{ fixMode: "all" }],
+            errors: [{ messageId: "destructuring" }],
+            output: "const items = useSelector((s: RootState) => s.data.items || {});",
+          },
+          {
+            code: 'const { a, b } = useSelector<RootState, User>(s => s.user);',
+            options: [{ fixStrategy: "shallow" }],
+            errors: [{ messageId: "destructuring" }],
+            output:
+              'import { shallowEqual } from "react-redux";\nconst { a, b } = useSelector<RootState, Pick<User, "a" | "b">>(s => ({ a: s.user.a, b: s.user.b }), shallowEqual);',
+          },
+          // Parameter types are read from the AST, including generics and parentheses
+          {
+            code: 'const { a, b } = useSelector((s: Pick<Root, "a" | "b"> & (A | B)): Foo => s.user);',
+            errors: [{ messageId: "destructuring" }],
+            output:
+              'const a = useSelector((s: Pick<Root, "a" | "b"> & (A | B)) => s.user.a);\nconst b = useSelector((s: Pick<Root, "a" | "b"> & (A | B)) => s.user.b);',
+          },
           // Test for nullish coalescing with TypeScript
           {
             code: "const { user = null } = useSelector((state: RootState) => state.currentUser ?? {});",
+            options: [{ fixMode: "all" }],
             errors: [
               {
-                message:
-                  "Avoid destructuring from selectors. Use granular selectors that return specific values.",
+                messageId: "destructuring",
               },
             ],
             output:
@@ -476,6 +2065,129 @@ const userIsFollowingProfile = useSelector((state) => state.notifications?.userI
         ],
       });
 
+      // typeAware: selected values are judged by their type from parserOptions.project
+      var typeAwareParserOptions = {
+        ecmaVersion: 2020,
+        sourceType: "module",
+        project: "./tsconfig.json",
+        tsconfigRootDir: typeAwareFixtures,
+      };
+      var typedRuleTester = isESLint9Plus
+        ? new RuleTester({
+            languageOptions: {
+              parser: typescriptParser,
+              parserOptions: typeAwareParserOptions,
+            },
+          })
+        : new RuleTester({
+            parser: require.resolve("@typescript-eslint/parser"),
+            parserOptions: typeAwareParserOptions,
+          });
+      var typeAwareFilename = path.join(typeAwareFixtures, "file.ts");
+      var storeTypes =
+        "type Actions = { increase: () => void; reset: () => void };\n" +
+        "type Point = [number, number];\n" +
+        "interface User { id: string; name: string }\n" +
+        "interface RootState { user: User; users: User[]; actions: Actions; origin: Point; count: number }\n" +
+        "declare function useSelector<T>(selector: (state: RootState) => T, equalityFn?: (a: T, b: T) => boolean): T;\n" +
+        "declare function shallowEqual(a: unknown, b: unknown): boolean;\n";
+
+      typedRuleTester.run("granular-selectors-type-aware", rule, {
+        valid: [
+          // An object of functions keeps its identity between store updates
+          {
+            code: storeTypes + "const { increase, reset } = useSelector(s => s.actions);",
+            filename: typeAwareFilename,
+            options: [{ typeAware: true }],
+          },
+          // So does a tuple of primitives, with the `Point` alias resolved by the type checker
+          {
+            code: storeTypes + "const { 0: x } = useSelector(s => s.origin);",
+            filename: typeAwareFilename,
+            options: [{ typeAware: true }],
+          },
+          {
+            code: storeTypes + "const [x, y] = useSelector(s => s.origin);",
+            filename: typeAwareFilename,
+            options: [{ typeAware: true }],
+          },
+          {
+            code: storeTypes + "const count = useSelector(s => s.count);",
+            filename: typeAwareFilename,
+            options: [{ typeAware: true }],
+          },
+          {
+            code: storeTypes + "const increase = useSelector(s => s.actions.increase);",
+            filename: typeAwareFilename,
+            options: [{ typeAware: true }],
+          },
+          {
+            code: storeTypes + "const actions = useSelector(s => s.actions);",
+            filename: typeAwareFilename,
+            options: [{ typeAware: true }],
+          },
+          // Results compared with an equality function are allowed, like their destructuring
+          {
+            code: storeTypes + "const user = useSelector(s => s.user, shallowEqual);",
+            filename: typeAwareFilename,
+            options: [{ typeAware: true, allowWithEquality: true }],
+          },
+          // Without typeAware, whole objects aren't reported
+          {
+            code: storeTypes + "const user = useSelector(s => s.user);",
+            filename: typeAwareFilename,
+          },
+        ],
+        invalid: [
+          {
+            code: storeTypes + "const user = useSelector(s => s.user);",
+            filename: typeAwareFilename,
+            options: [{ typeAware: true }],
+            errors: [
+              {
+                messageId: "objectResult",
+                data: {
+                  variable: "user",
+                  type: "User",
+                  kind: "an object",
+                  selector: "useSelector(s => s.user)",
+                },
+              },
+            ],
+          },
+          {
+            code: storeTypes + "const users = useSelector(s => s.users);",
+            filename: typeAwareFilename,
+            options: [{ typeAware: true }],
+            errors: [{ messageId: "objectResult", data: { variable: "users", type: "User[]", kind: "an array", selector: "useSelector(s => s.users)" } }],
+          },
+          {
+            code: storeTypes + "const { name } = useSelector(s => s.user);",
+            filename: typeAwareFilename,
+            options: [{ typeAware: true }],
+            errors: [{ messageId: "destructuring" }],
+            output: storeTypes + "const name = useSelector(s => s.user.name);",
+          },
+          // Array destructuring of the kept result is reported once, as destructuring
+          {
+            code: storeTypes + "const users = useSelector(s => s.users);\nconst [first] = users;",
+            filename: typeAwareFilename,
+            options: [{ typeAware: true }],
+            errors: [{ messageId: "destructuringVariable" }],
+            output: storeTypes + "const users = useSelector(s => s.users);\nconst first = useSelector(s => s.users[0]);",
+          },
+          // Without typeAware, the syntactic checks still report destructuring functions
+          {
+            code: storeTypes + "const { increase, reset } = useSelector(s => s.actions);",
+            filename: typeAwareFilename,
+            errors: [{ messageId: "destructuring" }],
+            output:
+              storeTypes +
+              "const increase = useSelector(s => s.actions.increase);\nconst reset = useSelector(s => s.actions.reset);",
+          },
+        ],
+      });
+
       console.log("TypeScript tests passed successfully!");
     } catch (e) {
       console.log("Error running TypeScript tests:", e.message);
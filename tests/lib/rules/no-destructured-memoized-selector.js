@@ -0,0 +1,85 @@
+/**
+ * @fileoverview Tests for no-destructured-memoized-selector rule
+ */
+"use strict";
+
+var rule = require("../../../lib/rules/no-destructured-memoized-selector");
+var RuleTester = require("eslint").RuleTester;
+
+var eslintVersion = require("eslint/package.json").version;
+var isESLint9Plus = parseInt(eslintVersion.split(".")[0]) >= 9;
+
+var ruleTester;
+if (isESLint9Plus) {
+  ruleTester = new RuleTester({
+    languageOptions: {
+      ecmaVersion: 2018,
+      sourceType: "module",
+    },
+  });
+} else {
+  ruleTester = new RuleTester({
+    parserOptions: {
+      ecmaVersion: 2018,
+      sourceType: "module",
+    },
+  });
+}
+
+ruleTester.run("no-destructured-memoized-selector", rule, {
+  valid: [
+    // Plain selectors are left to granular-selectors
+    "const { name } = useSelector(state => state.user);",
+    'import { createSelector } from "reselect"; const selectSummary = createSelector([selectTodos], todos => ({ total: todos.length })); const summary = useSelector(selectSummary);',
+    'import { createSelector } from "reselect"; const selectSummary = createSelector([selectTodos], todos => ({ total: todos.length })); const { total } = useSelector(selectSummary, shallowEqual);',
+    // A createSelector that isn't imported from reselect or Redux Toolkit isn't known to memoize
+    'import { createSelector } from "./selectors"; const selectSummary = createSelector([selectTodos], todos => ({ total: todos.length })); const { total } = useSelector(selectSummary);',
+    {
+      code: 'import { createSelector } from "reselect"; const selectSummary = createSelector([selectTodos], todos => ({ total: todos.length })); const { total } = useSelector(selectSummary);',
+      options: [{ exclude: ["^useSelector$"] }],
+    },
+  ],
+  invalid: [
+    {
+      code: 'import { createSelector } from "reselect"; const selectSummary = createSelector([selectTodos], todos => ({ total: todos.length })); const { total } = useSelector(selectSummary);',
+      errors: [
+        {
+          messageId: "memoizedSelector",
+          data: { names: "`total`", selector: "useSelector(selectSummary)" },
+        },
+      ],
+    },
+    {
+      code: 'import { createStructuredSelector } from "reselect"; const { todos, filter } = useSelector(createStructuredSelector({ todos: selectTodos, filter: selectFilter }));',
+      errors: [{ messageId: "memoizedSelector" }],
+    },
+    {
+      code: 'import { createDraftSafeSelector } from "@reduxjs/toolkit"; const [first, second] = useSelector(createDraftSafeSelector([selectTodos], todos => todos.pair));',
+      errors: [{ messageId: "memoizedSelector" }],
+    },
+    // Results destructured later and destructuring assignments
+    {
+      code: 'import * as RTK from "@reduxjs/toolkit"; const selectSummary = RTK.createSelector([selectTodos], todos => todos.summary); const summary = useSelector(selectSummary);\nconst { total } = summary;',
+      errors: [{ messageId: "memoizedSelector" }],
+    },
+    {
+      code: 'import { createSelector } from "reselect"; const selectSummary = createSelector([selectTodos], todos => todos.summary); let total; ({ total } = useSelector(selectSummary));',
+      errors: [{ messageId: "memoizedSelector" }],
+    },
+    // Custom selector creators built from reselect
+    {
+      code: 'import { createSelector } from "@reduxjs/toolkit"; const createAppSelector = createSelector.withTypes(); const selectSummary = createAppSelector([selectTodos], todos => todos.summary); const { total } = useSelector(selectSummary);',
+      errors: [{ messageId: "memoizedSelector" }],
+    },
+    {
+      code: 'import { createSelectorCreator, lruMemoize } from "reselect"; const createDeepSelector = createSelectorCreator(lruMemoize, isEqual); const { total } = useSelector(createDeepSelector([selectTodos], todos => todos.summary));',
+      errors: [{ messageId: "memoizedSelector" }],
+    },
+    // Presets add their selector hooks
+    {
+      code: 'import { createSelector } from "reselect"; const selectSummary = createSelector([selectTodos], todos => todos.summary); const { total } = useAppSelector(selectSummary);',
+      options: [{ preset: "redux" }],
+      errors: [{ messageId: "memoizedSelector" }],
+    },
+  ],
+});
@@ -0,0 +1,191 @@
+/**
+ * @fileoverview Tests for no-unstable-selector-result rule
+ */
+"use strict";
+
+var rule = require("../../../lib/rules/no-unstable-selector-result");
+var RuleTester = require("eslint").RuleTester;
+
+var eslintVersion = require("eslint/package.json").version;
+var isESLint9Plus = parseInt(eslintVersion.split(".")[0]) >= 9;
+
+var ruleTester;
+if (isESLint9Plus) {
+  ruleTester = new RuleTester({
+    languageOptions: {
+      ecmaVersion: 2018,
+      sourceType: "module",
+    },
+  });
+} else {
+  ruleTester = new RuleTester({
+    parserOptions: {
+      ecmaVersion: 2018,
+      sourceType: "module",
+    },
+  });
+}
+
+ruleTester.run("no-unstable-selector-result", rule, {
+  valid: [
+    "const items = useSelector(state => state.items);",
+    "const count = useSelector(state => state.items.length);",
+    "const label = useSelector(state => `${state.user.first} ${state.user.last}`);",
+    "const done = useSelector(state => state.items.some(item => item.done));",
+    "const items = useSelector(function(state) { return state.items; });",
+    // Equality functions and wrapper hooks compare the new reference by value
+    "const { a, b } = useSelector(state => ({ a: state.a, b: state.b }), shallowEqual);",
+    "const pair = useBearStore(useShallow(state => [state.a, state.b]));",
+    "const done = useSelector(state => state.items.filter(item => item.done), (prev, next) => prev.length === next.length);",
+    // Not a selector hook
+    "const done = items.filter(item => item.done);",
+    "const done = useMemo(() => items.filter(item => item.done), [items]);",
+    {
+      code: "const done = useTodoSelector(state => state.items.filter(item => item.done));",
+      options: [{ exclude: ["^useTodoSelector$"] }],
+    },
+    {
+      code: "const done = useStore(todoStore, s => s.todos.filter(t => t.done), shallow);",
+      options: [{ include: [{ name: "^useStore$", selectorArg: 1 }] }],
+    },
+    // Object.assign into an existing object returns that object
+    "const user = useSelector(state => Object.assign(state.user, state.patch));",
+  ],
+  invalid: [
+    {
+      code: "const done = useSelector(s => s.items.filter(i => i.done));",
+      errors: [
+        {
+          messageId: "unstableResult",
+          data: {
+            selector: "useSelector(s => s.items.filter(i => i.done))",
+            result: "a new array from `.filter()`",
+          },
+        },
+      ],
+    },
+    {
+      code: "const names = useSelector(s => s.list.map(item => item.name));",
+      errors: [
+        {
+          messageId: "unstableResult",
+          data: {
+            selector: "useSelector(s => s.list.map(item => item.name))",
+            result: "a new array from `.map()`",
+          },
+        },
+      ],
+    },
+    {
+      code: "const pair = useSelector(s => [s.a, s.b]);",
+      errors: [
+        {
+          messageId: "unstableResult",
+          data: {
+            selector: "useSelector(s => [s.a, s.b])",
+            result: "an array literal",
+          },
+        },
+      ],
+    },
+    {
+      code: "const user = useSelector(s => ({ ...s.user }));",
+      errors: [
+        {
+          messageId: "unstableResult",
+          data: {
+            selector: "useSelector(s => ({ ...s.user }))",
+            result: "an object literal",
+          },
+        },
+      ],
+    },
+    {
+      code: "const ids = useSelector(s => Object.keys(s.map));",
+      errors: [
+        {
+          messageId: "unstableResult",
+          data: {
+            selector: "useSelector(s => Object.keys(s.map))",
+            result: "a new value from `Object.keys()`",
+          },
+        },
+      ],
+    },
+    {
+      code: "const byId = useSelector(s => new Map(s.entries));",
+      errors: [
+        {
+          messageId: "unstableResult",
+          data: {
+            selector: "useSelector(s => new Map(s.entries))",
+            result: "a new `Map`",
+          },
+        },
+      ],
+    },
+    // Fallbacks allocate whenever the selected value is missing
+    {
+      code: "const items = useSelector(s => s.items || []);",
+      errors: [
+        {
+          messageId: "unstableResult",
+          data: {
+            selector: "useSelector(s => s.items || [])",
+            result: "an array literal",
+          },
+        },
+      ],
+    },
+    {
+      code: "const items = useSelector(s => s.ready ? s.items : []);",
+      errors: [{ messageId: "unstableResult" }],
+    },
+    // Block bodies: any return that allocates
+    {
+      code: "const items = useSelector(function(state) { if (!state.items) { return []; } return state.items; });",
+      errors: [{ messageId: "unstableResult" }],
+    },
+    // Selectors passed by name are resolved to their local definition
+    {
+      code: "const selectDone = state => state.todos.filter(todo => todo.done); const done = useSelector(selectDone);",
+      errors: [
+        {
+          messageId: "unstableResult",
+          data: {
+            selector: "useSelector(selectDone)",
+            result: "a new array from `.filter()`",
+          },
+        },
+      ],
+    },
+    // Redux Toolkit slice selectors are resolved to their definitions
+    {
+      code: 'import { createSlice } from "@reduxjs/toolkit"; const todosSlice = createSlice({ name: "todos", reducers: {}, selectors: { selectDone: s => s.items.filter(i => i.done) } }); const done = useSelector(todosSlice.selectors.selectDone);',
+      errors: [
+        {
+          messageId: "unstableResult",
+          data: {
+            selector: "useSelector(todosSlice.selectors.selectDone)",
+            result: "a new array from `.filter()`",
+          },
+        },
+      ],
+    },
+    // Member-expression hooks and custom include patterns
+    {
+      code: "const done = hooks.useAppSelector(s => s.items.filter(i => i.done));",
+      errors: [{ messageId: "unstableResult" }],
+    },
+    {
+      code: "const done = useStore(todoStore, s => s.todos.filter(t => t.done));",
+      options: [{ include: [{ name: "^useStore$", selectorArg: 1 }] }],
+      errors: [{ messageId: "unstableResult" }],
+    },
+    {
+      code: "const pair = useBearStore(s => [s.bears, s.fish]);",
+      options: [{ include: ["^useBearStore$"] }],
+      errors: [{ messageId: "unstableResult" }],
+    },
+  ],
+});
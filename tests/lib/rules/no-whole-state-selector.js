@@ -0,0 +1,198 @@
+/**
+ * @fileoverview Tests for no-whole-state-selector rule
+ */
+"use strict";
+
+var rule = require("../../../lib/rules/no-whole-state-selector");
+var RuleTester = require("eslint").RuleTester;
+
+var eslintVersion = require("eslint/package.json").version;
+var isESLint9Plus = parseInt(eslintVersion.split(".")[0]) >= 9;
+
+var ruleTester;
+if (isESLint9Plus) {
+  ruleTester = new RuleTester({
+    languageOptions: {
+      ecmaVersion: 2018,
+      sourceType: "module",
+    },
+  });
+} else {
+  ruleTester = new RuleTester({
+    parserOptions: {
+      ecmaVersion: 2018,
+      sourceType: "module",
+    },
+  });
+}
+
+ruleTester.run("no-whole-state-selector", rule, {
+  valid: [
+    "const user = useSelector(state => state.user);",
+    "const name = useSelector(state => state.user.name);",
+    "const items = useSelector(function(state) { return state.items; });",
+    "const data = useSelector(state => state.data || {});",
+    "const count = useSelector(state => state.items.length);",
+    "const name = useSelector(({ user }) => user.name);",
+    {
+      code: "const name = useSelector(state => state.user.name);",
+      options: [{ minPathDepth: 2 }],
+    },
+    {
+      code: "const todos = useSelector(state => state.entities.todos || []);",
+      options: [{ minPathDepth: 2 }],
+    },
+    // Not selector hooks
+    "const store = useStore();",
+    "const value = identity(state => state);",
+    {
+      code: "const { bears } = useBearStore.getState();",
+      options: [{ include: ["use.*Store"] }],
+    },
+    {
+      code: "const state = useSelector(state => state);",
+      options: [{ exclude: ["^useSelector$"] }],
+    },
+  ],
+  invalid: [
+    {
+      code: "const state = useSelector(state => state);",
+      errors: [
+        {
+          messageId: "wholeState",
+          data: { selector: "useSelector(state => state)" },
+        },
+      ],
+    },
+    {
+      code: "const { bears } = useStore(s => s);",
+      options: [{ include: ["^useStore$"] }],
+      errors: [
+        {
+          messageId: "wholeState",
+          data: { selector: "useStore(s => s)" },
+        },
+      ],
+    },
+    {
+      code: "var state = useAppSelector(function(state) { return state; });",
+      errors: [{ messageId: "wholeState" }],
+    },
+    {
+      code: "const state = useSelector(state => state || {});",
+      errors: [{ messageId: "wholeState" }],
+    },
+    {
+      code: "const selectAll = state => state; const state = useSelector(selectAll);",
+      errors: [
+        {
+          messageId: "wholeState",
+          data: { selector: "useSelector(selectAll)" },
+        },
+      ],
+    },
+    {
+      code: "const state = useSelector(s => { const all = s; return all; });",
+      errors: [{ messageId: "wholeState" }],
+    },
+    {
+      code: "const entities = useSelector(({ entities }) => entities);",
+      options: [{ minPathDepth: 2 }],
+      errors: [
+        {
+          messageId: "shallowPath",
+          data: {
+            selector: "useSelector(({ entities }) => entities)",
+            path: "state.entities",
+            minPathDepth: 2,
+          },
+        },
+      ],
+    },
+    {
+      code: "const state = useBearStore(useShallow(s => s));",
+      options: [{ include: ["^useBearStore$"] }],
+      errors: [{ messageId: "wholeState" }],
+    },
+    {
+      code: "const { bears, increase } = useStore();",
+      options: [{ include: ["^useStore$"] }],
+      errors: [
+        {
+          messageId: "noSelector",
+          data: { selector: "useStore()" },
+        },
+      ],
+    },
+    {
+      code: 'import { create } from "zustand"; const useCart = create(() => ({})); const cart = useCart();',
+      errors: [
+        {
+          messageId: "noSelector",
+          data: { selector: "useCart()" },
+        },
+      ],
+    },
+    {
+      code: "const state = useStore(bearStore);",
+      options: [{ include: [{ name: "^useStore$", selectorArg: 1 }] }],
+      errors: [{ messageId: "noSelector" }],
+    },
+    {
+      code: "const state = useStore(bearStore, s => s);",
+      options: [{ include: [{ name: "^useStore$", selectorArg: 1 }] }],
+      errors: [{ messageId: "wholeState" }],
+    },
+    {
+      code: "const snapshot = useSelector(actorRef, snapshot => snapshot);",
+      options: [{ preset: "xstate" }],
+      errors: [{ messageId: "wholeState" }],
+    },
+    {
+      code: "const state = hooks.useAppSelector();",
+      errors: [{ messageId: "noSelector" }],
+    },
+    {
+      code: 'import { createSlice } from "@reduxjs/toolkit"; const todosSlice = createSlice({ name: "todos", reducers: {} }); const todos = useSelector(todosSlice.selectSlice);',
+      options: [{ minPathDepth: 2 }],
+      errors: [
+        {
+          messageId: "shallowPath",
+          data: {
+            selector: "useSelector(todosSlice.selectSlice)",
+            path: "state.todos",
+            minPathDepth: 2,
+          },
+        },
+      ],
+    },
+    {
+      code: "const entities = useSelector(s => s.entities);",
+      options: [{ minPathDepth: 2 }],
+      errors: [
+        {
+          messageId: "shallowPath",
+          data: {
+            selector: "useSelector(s => s.entities)",
+            path: "s.entities",
+            minPathDepth: 2,
+          },
+        },
+      ],
+    },
+    {
+      code: "const todos = useSelector(s => s.entities.todos || []);",
+      options: [{ minPathDepth: 3 }],
+      errors: [
+        {
+          messageId: "shallowPath",
+          data: {
+            selector: "useSelector(s => s.entities.todos || [])",
+            path: "s.entities.todos",
+            minPathDepth: 3,
+          },
+        },
+      ],
+    },
+  ],
+});
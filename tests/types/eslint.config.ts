@@ -0,0 +1,33 @@
+/**
+ * @fileoverview Type test: the plugin's typings must work in an ESLint 9 `eslint.config.ts`.
+ * Checked with `npm run test:types`; this file is never run.
+ */
+import type { ESLint, Linter } from "eslint";
+import granularSelectors = require("../..");
+
+const plugin: ESLint.Plugin = granularSelectors;
+
+const options: granularSelectors.GranularSelectorsOptions = {
+  preset: "zustand",
+  include: [{ name: "^useBoundStore$", selectorArg: 1 }],
+};
+
+const config: Linter.Config[] = [
+  granularSelectors.configs["flat/recommended"],
+  granularSelectors.configs["flat/zustand"],
+  {
+    plugins: {
+      "granular-selectors": granularSelectors,
+    },
+    rules: {
+      "granular-selectors/granular-selectors": ["error", options],
+    },
+  },
+  {
+    plugins: {
+      "granular-selectors": plugin,
+    },
+  },
+];
+
+export = config;